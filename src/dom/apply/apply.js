@@ -5,8 +5,10 @@
  *
  * @module
  */
-import { apply as baseApply } from "../../object/apply/apply.js";
+import { apply as baseApply, Inverse } from "../../object/apply/apply.js";
 import { mapValues } from "../../object/operations/operations.js";
+import { Diagnostics, elementPath } from "../diagnostics/diagnostics.js";
+import { addDisposer, descendants, dispose } from "../lifecycle/lifecycle.js";
 export const selectAll = (element, selectors) => element.querySelectorAll(selectors);
 export const selectFirst = (element, selectors) => element.querySelector(selectors);
 /**
@@ -53,6 +55,31 @@ export const defaultGetter = getter();
  * also pre-fetches the target's property (also using {@link get}) before
  * invoking the component functions by using a mapper option.
  *
+ * Components may return disposers (functions) which undo their effects.
+ * These are registered (with {@link addDisposer}) on the matched element
+ * (or on the containing element when many elements are matched) and are
+ * not used as targets for recursive calls. Calling `dispose` with the
+ * target will thus tear down all the applied components.
+ *
+ * The disposers are also recorded as inverses so that calling `undo` on the
+ * returned handle reverses the applied components (for example restoring
+ * values changed by setters and removing added listeners). Each disposer
+ * runs only once, whether by `undo` or by `dispose`.
+ *
+ * If `options.diagnostics` is given, keys matching nothing, component
+ * exceptions (which no longer stop the remaining components) and run
+ * counts are recorded in it. If `options.strict` is truthy, an
+ * AggregateError is thrown after applying if there were any problems.
+ *
+ * @example
+ * import { apply } from 'deleight/dom/apply';
+ * import { setter, listener } from 'deleight/dom/components';
+ * const editMode = apply({
+ *     '.title': setter('contentEditable')('true'),
+ *     '.save': listener('click')(() => save())
+ * });
+ * editMode.undo();    // the title is no longer editable and the listener is removed.
+ *
  * @example
  * import { apply } from 'deleight/dom/apply';
  * import { map, range, forEach, zip } from 'deleight/generators';
@@ -73,9 +100,29 @@ export const defaultGetter = getter();
 export function apply(components, target, options) {
     if (!target)
         target = document.body;
-    const getter = options?.getter || defaultGetter;
-    const mappedComponents = mapValues(components, (options?.mapper || applyMapper)(getter));
-    return baseApply(mappedComponents, target, { args: options?.args, getter: getter });
+    const diagnostics = options?.diagnostics || (options?.strict ? new Diagnostics() : undefined);
+    let getter = options?.getter || defaultGetter;
+    if (diagnostics)
+        getter = reportingGetter(getter, diagnostics);
+    const mappedComponents = mapValues(components, (options?.mapper || applyMapper)(getter, diagnostics));
+    const handle = baseApply(mappedComponents, target, { args: options?.args, getter: getter });
+    if (options?.strict)
+        diagnostics.check();
+    return handle;
+}
+function isEmpty(selected) {
+    return selected === null || selected === undefined || selected.length === 0;
+}
+function reportingGetter(getter, diagnostics) {
+    return (target, key) => {
+        const result = getter(target, key);
+        if (isEmpty(result))
+            diagnostics.unmatched.push({ key, target: describeTarget(target) });
+        return result;
+    };
+}
+function describeTarget(target) {
+    return (target instanceof Element) ? elementPath(target) : '#document-fragment';
 }
 /**
  * Similar to {@link apply} but uses {@link selectAll} (instead of
@@ -104,28 +151,155 @@ export function applyAll(components, target, options) {
     options.getter = getter(selectAll);
     return apply(components, target, options);
 }
-function applyFunction(components, getter) {
+/**
+ * Similar to {@link applyAll} but keeps the components applied to matching
+ * elements inserted into the target later (as observed with a MutationObserver).
+ * Each component is called once for every matching element (instead of
+ * once with all of them) and any disposer it returns is registered on
+ * that element.
+ *
+ * If `options.dispose` is truthy, elements removed from the target are
+ * disposed (with `dispose`) so that their disposers run. They will
+ * get the components again if they are re-inserted.
+ *
+ * `options.strict` only applies to this call and to `update()` on the
+ * returned handle. The runs triggered by the observer record any problems
+ * in `options.diagnostics` (if given) without throwing.
+ *
+ * Returns a handle for stopping the observation.
+ *
+ * @example
+ * import { applyLive } from 'deleight/dom/apply';
+ * import { listener } from 'deleight/dom/components';
+ * const handle = applyLive({
+ *     tbody: { 'tr button': listener('click')(e => e.target.closest('tr').remove()) }
+ * }, document.querySelector('table'), { dispose: true });
+ * document.querySelector('tbody').insertAdjacentHTML('beforeend',
+ *     '<tr><td>New</td><td><button>Delete</button></td></tr>');  // the button gets the listener
+ * handle.stop();
+ *
+ * @param components
+ * @param target
+ * @param options
+ * @returns
+ */
+export function applyLive(components, target, options) {
+    if (!target)
+        target = document.body;
+    const appliedSets = [];
+    const live = (component) => {
+        const applied = new WeakSet();
+        appliedSets.push(applied);
+        return (elements, key) => {
+            if (!elements)
+                return;
+            let result;
+            for (let element of (elements instanceof Element) ? [elements] : elements) {
+                if (applied.has(element))
+                    continue;
+                applied.add(element);
+                if ((result = component(element, key)) instanceof Function)
+                    addDisposer(element, result);
+            }
+        };
+    };
+    const wrap = (comps, key) => (comps[key] instanceof Function) ? live(comps[key]) : mapValues(comps[key], wrap);
+    const liveComponents = mapValues(components, wrap);
+    const update = () => { applyAll(liveComponents, target, { ...options }); };
+    // nobody can catch errors thrown in the observer callback
+    const observed = () => { applyAll(liveComponents, target, { ...options, strict: false }); };
+    const observer = new MutationObserver(records => {
+        let added = false;
+        for (let record of records) {
+            for (let node of record.addedNodes)
+                if (node instanceof Element)
+                    added = true;
+            if (options?.dispose)
+                for (let node of record.removedNodes) {
+                    if (node instanceof Element && !target.contains(node)) {
+                        for (let element of descendants(node))
+                            for (let applied of appliedSets)
+                                applied.delete(element);
+                        dispose(node);
+                    }
+                }
+        }
+        if (added)
+            observed();
+    });
+    update();
+    observer.observe(target, { childList: true, subtree: true });
+    return { update, stop: () => observer.disconnect() };
+}
+function applyFunction(components, getter, diagnostics) {
+    const component = (diagnostics) ? (selected, key, container) => {
+        if (isEmpty(selected))
+            return; // already reported as unmatched
+        diagnostics.count(key);
+        try {
+            return components[key](selected, key);
+        }
+        catch (error) {
+            diagnostics.failures.push({ key, element: describeTarget((selected instanceof Element) ? selected : container), error });
+        }
+    } : (selected, key, container) => components[key](selected, key);
     const innerApplyFunction = (elements, key, ...args) => {
-        const component = components[key];
+        let selected, result;
         if (typeof elements === 'object' && Reflect.has(elements, Symbol.iterator)) {
-            let result;
+            const disposers = [];
             for (let element of elements) {
-                result = component(getter(element, key), key);
-                if (result !== undefined) {
-                    innerApplyFunction(result, key, ...args);
+                result = component(selected = getter(element, key), key, element);
+                if (result instanceof Function)
+                    disposers.push(ownDisposer(element, selected, result));
+                else if (result instanceof Inverse)
+                    disposers.push(result.value);
+                else if (result !== undefined) {
+                    result = innerApplyFunction(result, key, ...args);
+                    if (result instanceof Inverse)
+                        disposers.push(result.value);
                 }
             }
+            if (disposers.length)
+                return new Inverse(() => {
+                    for (let disposer of disposers.reverse())
+                        disposer();
+                });
         }
         else if (elements instanceof Element || elements instanceof DocumentFragment) {
-            return component(getter(elements, key), key);
+            result = component(selected = getter(elements, key), key, elements);
+            if (result instanceof Function)
+                return new Inverse(ownDisposer(elements, selected, result));
+            else
+                return result;
         }
     };
     return innerApplyFunction;
 }
-function applyMapper(getter) {
+/**
+ * Registers a disposer returned by a component on the selected element. If
+ * many elements were selected, it is registered on the container or (for
+ * fragments) on every selected element. Returns the registered function
+ * which calls the disposer only once.
+ */
+function ownDisposer(container, selected, disposer) {
+    let disposed = false;
+    const once = () => { if (!disposed) {
+        disposed = true;
+        disposer();
+    } };
+    if (selected instanceof Element)
+        addDisposer(selected, once);
+    else if (container instanceof Element)
+        addDisposer(container, once);
+    else if (selected)
+        for (let element of selected)
+            addDisposer(element, once);
+    return once;
+}
+function applyMapper(getter, diagnostics) {
     const innerMapper = (comps, key) => {
         let comp = comps[key];
-        return (comp instanceof Function) ? applyFunction(comps, getter) : mapValues(comp, innerMapper);
+        return (comp instanceof Function) ? applyFunction(comps, getter, diagnostics) : mapValues(comp, innerMapper);
     };
     return innerMapper;
 }
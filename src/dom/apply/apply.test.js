@@ -1,6 +1,9 @@
-import { describe, it } from "node:test";
+import { describe, it, before } from "node:test";
 import { strict as assert } from "node:assert";
-import { apply, applyAll } from "./apply.js";
+import { apply, applyAll, applyLive } from "./apply.js";
+import { dispose } from "../lifecycle/lifecycle.js";
+import { setter, attrSetter, listener, all } from "../components/components.js";
+import { Diagnostics } from "../diagnostics/diagnostics.js";
 import { JSDOM } from "jsdom";
 
 describe("apply", () => {
@@ -167,5 +170,165 @@ describe("apply", () => {
 
     });
 
+    it("Should register returned disposers instead of recursing with them", (t) => {
+        body.innerHTML = `
+    <main>
+        <p>I am a paragraph</p>
+        <section>I am a section</section>
+        <section>I am a section</section>
+    </main>
+    `;
+        const disposed = [];
+        const main = body.querySelector('main');
+        apply({ main: { p: () => () => disposed.push('p') } });
+        applyAll({ main: { section: () => () => disposed.push('sections') } }, body);
+        dispose(main.querySelector('p'));
+        assert.deepEqual(disposed, ['p']);
+        dispose(body);
+        assert.deepEqual(disposed, ['p', 'sections']);
+    });
+
+    it("Should return a handle that undoes the applied components", (t) => {
+        body.innerHTML = `
+    <main>
+        <h1 class="title">Title</h1>
+        <section><button>Save</button></section>
+        <section><button>Save</button></section>
+    </main>
+    `;
+        const clicks = [];
+        const main = body.querySelector('main');
+        main.querySelector('h1').contentEditable = 'false';
+        const handle = applyAll({
+            '.title': all(setter('contentEditable')('true'), attrSetter('data-mode')('edit')),
+            section: { button: listener('click')(() => clicks.push(1)) }
+        }, main);
+        assert.equal(handle.target, main);
+        const title = main.querySelector('h1');
+        assert.equal(title.contentEditable, 'true');
+        assert.equal(title.getAttribute('data-mode'), 'edit');
+        for (let btn of main.querySelectorAll('button')) btn.click();
+        assert.equal(clicks.length, 2);
+
+        handle.undo();
+        assert.equal(title.contentEditable, 'false');
+        assert.equal(title.hasAttribute('data-mode'), false);
+        for (let btn of main.querySelectorAll('button')) btn.click();
+        assert.equal(clicks.length, 2);
+
+        title.setAttribute('data-mode', 'view');
+        dispose(main);      // the disposers do not run again
+        assert.equal(title.getAttribute('data-mode'), 'view');
+    });
+
 });
 
+describe("applyLive", () => {
+    const window = new JSDOM(`<!DOCTYPE html><body></body>`).window;
+    const document = window.document;
+    const body = document.body;
+    const tick = () => new Promise(r => setTimeout(r));
+
+    before(() => {
+        global.document = document;
+        global.Element = window.Element;
+        global.DocumentFragment = window.DocumentFragment;
+        global.MutationObserver = window.MutationObserver;
+    });
+
+    it("Should apply the components to matching elements inserted later", async (t) => {
+        body.innerHTML = `<table><tbody><tr><td><button>1</button></td></tr></tbody></table>`;
+        const applied = [];
+        const handle = applyLive({ tbody: { 'tr button': (btn) => applied.push(btn.textContent) } }, body);
+        assert.deepEqual(applied, ['1']);
+
+        const tbody = body.querySelector('tbody');
+        tbody.insertAdjacentHTML('beforeend', '<tr><td><button>2</button></td></tr><tr><td><button>3</button></td></tr>');
+        body.append(document.createElement('p'));
+        await tick();
+        assert.deepEqual(applied, ['1', '2', '3']);
+
+        tbody.append(tbody.firstElementChild);   // moved, not new
+        await tick();
+        assert.deepEqual(applied, ['1', '2', '3']);
+
+        handle.stop();
+        tbody.insertAdjacentHTML('beforeend', '<tr><td><button>4</button></td></tr>');
+        await tick();
+        assert.deepEqual(applied, ['1', '2', '3']);
+        handle.update();
+        assert.deepEqual(applied, ['1', '2', '3', '4']);
+    });
+
+    it("Should dispose removed elements if requested", async (t) => {
+        body.innerHTML = `<ul><li>a</li><li>b</li></ul>`;
+        const calls = [];
+        const handle = applyLive({ li: (li) => {
+            calls.push(`+${li.textContent}`);
+            return () => calls.push(`-${li.textContent}`);
+        } }, body.firstElementChild, { dispose: true });
+        const [a, b] = body.querySelectorAll('li');
+        a.remove();
+        await tick();
+        assert.deepEqual(calls, ['+a', '+b', '-a']);
+        body.firstElementChild.append(a);
+        await tick();
+        assert.deepEqual(calls, ['+a', '+b', '-a', '+a']);
+        handle.stop();
+    });
+
+    it("Should not throw strict errors from observed changes", async (t) => {
+        body.innerHTML = `<ul><li>a</li></ul>`;
+        const diagnostics = new Diagnostics();
+        const handle = applyLive({ li: (li) => {
+            if (li.textContent === 'b') throw new Error('Oops');
+        } }, body.firstElementChild, { strict: true, diagnostics });
+        body.firstElementChild.insertAdjacentHTML('beforeend', '<li>b</li>');
+        await tick();
+        assert.deepEqual(diagnostics.failures.map(f => f.error.message), ['Oops']);
+        assert.throws(() => handle.update(), AggregateError);
+        handle.stop();
+    });
+});
+
+
+describe("apply diagnostics", () => {
+    const window = new JSDOM(`<!DOCTYPE html><body></body>`).window;
+    const document = window.document;
+    const body = document.body;
+
+    before(() => {
+        global.document = document;
+        global.Element = window.Element;
+        global.DocumentFragment = window.DocumentFragment;
+    });
+
+    it("Should record unmatched selectors, failures and counts", (t) => {
+        body.innerHTML = `<main><p>One</p><p>Two</p></main>`;
+        const diagnostics = new Diagnostics();
+        const calls = [];
+        apply({
+            main: {
+                p: (p) => calls.push(p.textContent),
+                '.missing': (el) => calls.push('missing'),
+                'p + p': (p) => { throw new Error('Oops') }
+            }
+        }, body, { diagnostics });
+        assert.deepEqual(calls, ['One']);
+        assert.deepEqual(diagnostics.counts, { __proto__: null, p: 1, 'p + p': 1 });
+        assert.deepEqual(diagnostics.unmatched, [{ key: '.missing', target: 'html > body:nth-child(2) > main' }]);
+        assert.equal(diagnostics.failures.length, 1);
+        assert.deepEqual([diagnostics.failures[0].key, diagnostics.failures[0].element], ['p + p', 'html > body:nth-child(2) > main > p:nth-child(2)']);
+        assert.equal(diagnostics.ok, false);
+    });
+
+    it("Should throw an AggregateError in strict mode", (t) => {
+        body.innerHTML = `<main id="app"><p>One</p></main>`;
+        assert.throws(() => apply({ main: { '.missing': () => {} } }, body, { strict: true }), (e) => {
+            assert.ok(e instanceof AggregateError);
+            assert.deepEqual(e.errors.map(e => e.message), ['The selector: .missing matched nothing in main#app.']);
+            return true;
+        });
+        assert.doesNotThrow(() => apply({ main: { p: () => {} } }, body, { strict: true }));
+    });
+});
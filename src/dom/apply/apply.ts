@@ -6,10 +6,12 @@
  * @module
  */
 
-import { apply as baseApply, IActions } from "../../object/apply/apply.js";
+import { apply as baseApply, IActions, Inverse } from "../../object/apply/apply.js";
 import { mapValues } from "../../object/operations/operations.js";
 import { IKey } from "../../types.js";
 import { IComponent } from "../components/components.js";
+import { Diagnostics, elementPath } from "../diagnostics/diagnostics.js";
+import { addDisposer, descendants, dispose } from "../lifecycle/lifecycle.js";
 
 export type IApplyComponents<T> = {
     [key in keyof T]: IComponent | IApplyComponents<T[key]>
@@ -18,7 +20,17 @@ export type IApplyComponents<T> = {
 export interface IApplyOptions {
     args?: any[];
     getter?: typeof defaultGetter;
-    mapper?: <T, U extends keyof T>(getter: typeof defaultGetter) => (comps: T, key: U) => IApplyComponents<T[U]>;
+    mapper?: <T, U extends keyof T>(getter: typeof defaultGetter, diagnostics?: Diagnostics) => (comps: T, key: U) => IApplyComponents<T[U]>;
+    /**
+     * A report to fill with the unmatched keys, component exceptions 
+     * and run counts.
+     */
+    diagnostics?: Diagnostics;
+    /**
+     * Throw an AggregateError after applying if any key matched nothing 
+     * or any component threw.
+     */
+    strict?: boolean;
 }
 
 export interface ISelector {
@@ -71,6 +83,31 @@ export const defaultGetter = getter();
  * also pre-fetches the target's property (also using {@link get}) before 
  * invoking the component functions by using a mapper option.
  * 
+ * Components may return disposers (functions) which undo their effects. 
+ * These are registered (with {@link addDisposer}) on the matched element 
+ * (or on the containing element when many elements are matched) and are 
+ * not used as targets for recursive calls. Calling `dispose` with the 
+ * target will thus tear down all the applied components.
+ * 
+ * The disposers are also recorded as inverses so that calling `undo` on the 
+ * returned handle reverses the applied components (for example restoring 
+ * values changed by setters and removing added listeners). Each disposer 
+ * runs only once, whether by `undo` or by `dispose`.
+ * 
+ * If `options.diagnostics` is given, keys matching nothing, component 
+ * exceptions (which no longer stop the remaining components) and run 
+ * counts are recorded in it. If `options.strict` is truthy, an 
+ * AggregateError is thrown after applying if there were any problems.
+ * 
+ * @example
+ * import { apply } from 'deleight/dom/apply';
+ * import { setter, listener } from 'deleight/dom/components';
+ * const editMode = apply({ 
+ *     '.title': setter('contentEditable')('true'),
+ *     '.save': listener('click')(() => save())
+ * });
+ * editMode.undo();    // the title is no longer editable and the listener is removed.
+ * 
  * @example
  * import { apply } from 'deleight/dom/apply';
  * import { map, range, forEach, zip } from 'deleight/generators';
@@ -90,9 +127,29 @@ export const defaultGetter = getter();
  */
 export function apply<T>(components: T, target?: Element | DocumentFragment, options?: IApplyOptions) {
     if (!target) target = document.body;
-    const getter = options?.getter || defaultGetter;
-    const mappedComponents = mapValues(components, (options?.mapper || applyMapper)(getter));
-    return baseApply(mappedComponents as IActions, target, { args: options?.args, getter: getter });
+    const diagnostics = options?.diagnostics || (options?.strict? new Diagnostics(): undefined);
+    let getter = options?.getter || defaultGetter;
+    if (diagnostics) getter = reportingGetter(getter, diagnostics);
+    const mappedComponents = mapValues(components, (options?.mapper || applyMapper)(getter, diagnostics));
+    const handle = baseApply(mappedComponents as IActions, target, { args: options?.args, getter: getter });
+    if (options?.strict) diagnostics.check();
+    return handle;
+}
+
+function isEmpty(selected: any) {
+    return selected === null || selected === undefined || selected.length === 0;
+}
+
+function reportingGetter(getter: typeof defaultGetter, diagnostics: Diagnostics) {
+    return (target: Element | DocumentFragment, key: IKey) => {
+        const result = getter(target, key);
+        if (isEmpty(result)) diagnostics.unmatched.push({ key, target: describeTarget(target) });
+        return result;
+    }
+}
+
+function describeTarget(target: any) {
+    return (target instanceof Element)? elementPath(target): '#document-fragment';
 }
 
 /**
@@ -122,27 +179,157 @@ export function applyAll<T>(components: T, target?: Element | DocumentFragment,
     return apply(components, target, options);
 }
 
-function applyFunction<T>(components: IApplyComponents<T>, getter: typeof defaultGetter) {
+/**
+ * Optional arguments to {@link applyLive}
+ */
+export interface IApplyLiveOptions extends IApplyOptions {
+    /**
+     * Whether to dispose (with `dispose`) elements removed from the target.
+     */
+    dispose?: boolean;
+}
+
+/**
+ * The handle returned by {@link applyLive}.
+ */
+export interface ILiveApply {
+    /**
+     * Applies the components to new matching elements without waiting 
+     * for the observer.
+     */
+    update(): void;
+    /**
+     * Stops observing the target.
+     */
+    stop(): void;
+}
+
+/**
+ * Similar to {@link applyAll} but keeps the components applied to matching 
+ * elements inserted into the target later (as observed with a MutationObserver). 
+ * Each component is called once for every matching element (instead of 
+ * once with all of them) and any disposer it returns is registered on 
+ * that element. 
+ * 
+ * If `options.dispose` is truthy, elements removed from the target are 
+ * disposed (with `dispose`) so that their disposers run. They will 
+ * get the components again if they are re-inserted.
+ * 
+ * `options.strict` only applies to this call and to `update()` on the 
+ * returned handle. The runs triggered by the observer record any problems 
+ * in `options.diagnostics` (if given) without throwing.
+ * 
+ * Returns a handle for stopping the observation.
+ * 
+ * @example
+ * import { applyLive } from 'deleight/dom/apply';
+ * import { listener } from 'deleight/dom/components';
+ * const handle = applyLive({
+ *     tbody: { 'tr button': listener('click')(e => e.target.closest('tr').remove()) }
+ * }, document.querySelector('table'), { dispose: true });
+ * document.querySelector('tbody').insertAdjacentHTML('beforeend', 
+ *     '<tr><td>New</td><td><button>Delete</button></td></tr>');  // the button gets the listener
+ * handle.stop();
+ * 
+ * @param components 
+ * @param target 
+ * @param options 
+ * @returns 
+ */
+export function applyLive<T>(components: T, target?: Element | DocumentFragment, options?: IApplyLiveOptions): ILiveApply {
+    if (!target) target = document.body;
+    const appliedSets: WeakSet<Element>[] = [];
+    const live = (component: IComponent) => {
+        const applied = new WeakSet<Element>();
+        appliedSets.push(applied);
+        return (elements: Element | Iterable<Element>, key: IKey) => {
+            if (!elements) return;
+            let result: any;
+            for (let element of (elements instanceof Element)? [elements]: elements) {
+                if (applied.has(element)) continue;
+                applied.add(element);
+                if ((result = component(element, key)) instanceof Function) addDisposer(element, result);
+            }
+        }
+    };
+    const wrap = (comps: any, key: IKey) => (comps[key] instanceof Function)? live(comps[key]): mapValues(comps[key], wrap);
+    const liveComponents = mapValues(components, wrap);
+
+    const update = () => { applyAll(liveComponents, target, { ...options }) };
+    // nobody can catch errors thrown in the observer callback
+    const observed = () => { applyAll(liveComponents, target, { ...options, strict: false }) };
+    const observer = new MutationObserver(records => {
+        let added = false;
+        for (let record of records) {
+            for (let node of record.addedNodes) if (node instanceof Element) added = true;
+            if (options?.dispose) for (let node of record.removedNodes) {
+                if (node instanceof Element && !target.contains(node)) {
+                    for (let element of descendants(node)) for (let applied of appliedSets) applied.delete(element);
+                    dispose(node);
+                }
+            }
+        }
+        if (added) observed();
+    });
+    update();
+    observer.observe(target, { childList: true, subtree: true });
+    return { update, stop: () => observer.disconnect() };
+}
+
+function applyFunction<T>(components: IApplyComponents<T>, getter: typeof defaultGetter, diagnostics?: Diagnostics) {
+    const component = (diagnostics)? (selected: Element | Iterable<Element>, key: IKey, container: any) => {
+        if (isEmpty(selected)) return;    // already reported as unmatched
+        diagnostics.count(key);
+        try {
+            return components[key](selected, key);
+        } catch (error) {
+            diagnostics.failures.push({ key, element: describeTarget((selected instanceof Element)? selected: container), error });
+        }
+    }: (selected: Element | Iterable<Element>, key: IKey, container: any) => components[key](selected, key);
+    
     const innerApplyFunction = (elements: Element | DocumentFragment | Iterable<Element>, key: IKey, ...args: any[]) => {
-        const component = components[key];
+        let selected: Element | Iterable<Element>, result: any;
         if (typeof elements === 'object' && Reflect.has(elements, Symbol.iterator)) {
-            let result: any;
+            const disposers: Function[] = [];
             for (let element of elements as Iterable<Element>) {
-                result = component(getter(element, key), key);
-                if (result !== undefined) {
-                    innerApplyFunction(result, key, ...args); 
+                result = component(selected = getter(element, key), key, element);
+                if (result instanceof Function) disposers.push(ownDisposer(element, selected, result));
+                else if (result instanceof Inverse) disposers.push(result.value);
+                else if (result !== undefined) {
+                    result = innerApplyFunction(result, key, ...args);
+                    if (result instanceof Inverse) disposers.push(result.value);
                 }
             }
+            if (disposers.length) return new Inverse(() => {
+                for (let disposer of disposers.reverse()) disposer();
+            });
         } else if (elements instanceof Element || elements instanceof DocumentFragment) {
-            return component(getter(elements as (Element | DocumentFragment), key), key);
+            result = component(selected = getter(elements as (Element | DocumentFragment), key), key, elements);
+            if (result instanceof Function) return new Inverse(ownDisposer(elements, selected, result));
+            else return result;
         }
     }
     return innerApplyFunction;
 }
-function applyMapper<T, U extends keyof T>(getter: typeof defaultGetter) {
+
+/**
+ * Registers a disposer returned by a component on the selected element. If 
+ * many elements were selected, it is registered on the container or (for 
+ * fragments) on every selected element. Returns the registered function 
+ * which calls the disposer only once.
+ */
+function ownDisposer(container: Element | DocumentFragment, selected: Element | Iterable<Element>, disposer: Function) {
+    let disposed = false;
+    const once = () => { if (!disposed) { disposed = true; disposer() } };
+    if (selected instanceof Element) addDisposer(selected, once);
+    else if (container instanceof Element) addDisposer(container, once);
+    else if (selected) for (let element of selected) addDisposer(element, once);
+    return once;
+}
+function applyMapper<T, U extends keyof T>(getter: typeof defaultGetter, diagnostics?: Diagnostics) {
     const innerMapper = (comps: IApplyComponents<T>, key: U) => {
         let comp: any = comps[key];
-        return (comp instanceof Function)? applyFunction(comps, getter): mapValues(comp, innerMapper);
+        return (comp instanceof Function)? applyFunction(comps, getter, diagnostics): mapValues(comp, innerMapper);
     };
     return innerMapper;
 }
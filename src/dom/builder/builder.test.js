@@ -1,14 +1,21 @@
 import { describe, it } from "node:test";
 import { strict as assert } from "node:assert";
 import { JSDOM } from "jsdom";
-import { html, h, b, hh } from "./builder.js";
+import { html, h, b, hh, ss, mm, raw, readableStream, Builder, HTMLElementBuilder, SVGElementBuilder, registerComponents, hole } from "./builder.js";
+import { createFragment } from "../html/html.js";
+import { StyleSheet } from "../../css/css.js";
+import { dispose } from "../lifecycle/lifecycle.js";
 const window = new JSDOM(`<!DOCTYPE html><body></body>`).window;
 const document = window.document;
 globalThis.document = document;
 globalThis.HTMLStyleElement = window.HTMLStyleElement;
 globalThis.Element = window.Element;
+globalThis.Text = window.Text;
 globalThis.DocumentFragment = window.DocumentFragment;
 globalThis.CSSRule = window.CSSRule;
+globalThis.ShadowRoot = window.ShadowRoot;
+globalThis.Document = window.Document;
+globalThis.MutationObserver = window.MutationObserver;
 describe("builder.render", () => {
     it("Should render an element", async (t) => {
         const rendered = html('main').set({ class: 'right bg' }).append(9).render();
@@ -67,3 +74,365 @@ describe("builder.render", () => {
         assert.equal(rendered.join('\n').trim(), expected.trim());
     });
 });
+
+
+describe("builder.hydrate", () => {
+    it("Should reuse the rendered elements", async (t) => {
+        const clicked = [];
+        const builder = hh.ul(...[1, 2, 3].map(i => hh.li(i).assign({ onclick() { clicked.push(i) } }))).set({ class: 'list' });
+        document.body.innerHTML = builder.render();
+        const ul = document.body.firstElementChild, li2 = ul.children[1];
+        const { element, mismatches } = builder.hydrate(ul);
+        assert.equal(element, ul);
+        assert.equal(ul.children[1], li2);
+        assert.deepEqual(mismatches, []);
+        li2.click();
+        assert.deepEqual(clicked, [2]);
+    });
+
+    it("Should run the components on the hydrated elements", async (t) => {
+        const builder = hh.section('Section ', hh.button('Btn1').apply(el => el.hydrated = true));
+        document.body.innerHTML = builder.render();
+        const { element } = builder.hydrate(document.body.firstElementChild);
+        assert.equal(element.querySelector('button').hydrated, true);
+    });
+
+    it("Should report and repair mismatches", async (t) => {
+        const builder = hh.div(hh.p('Para 1'), hh.p('Para 2').set({ class: 'second' }), hh.p('Para 3'));
+        document.body.innerHTML = `<div><p>Para 1</p><p>Para 20</p><span>Span</span><aside></aside></div>`;
+        const { element, mismatches } = builder.hydrate(document.body.firstElementChild);
+        assert.deepEqual(mismatches.map(m => [m.type, m.path]), [
+            ['attr', [1]], ['text', [1]], ['tag', [2]], ['extra', []]
+        ]);
+        assert.equal(element.outerHTML, '<div><p>Para 1</p><p class="second">Para 2</p><p>Para 3</p></div>');
+    });
+
+    it("Should compare text with collapsed whitespace", async (t) => {
+        document.body.innerHTML = `<div><p>
+            Hello   world
+        </p><p>Helloworld</p></div>`;
+        const { element, mismatches } = hh.div(hh.p('Hello world'), hh.p('Hello world')).hydrate(document.body.firstElementChild);
+        assert.deepEqual(mismatches.map(m => [m.type, m.actual]), [['text', 'Helloworld']]);
+        assert.equal(element.children[1].textContent, 'Hello world');
+    });
+
+    it("Should hydrate consecutive text children from the builder output", async (t) => {
+        const builder = hh.div(hh.p('a', 'b', hh.span('c'), 'd'), hh.p('e', 'f'));
+        for (let options of [{}, { indent: 4 }, { minify: true }]) {
+            document.body.innerHTML = builder.render(options);
+            const { mismatches } = builder.hydrate(document.body.firstElementChild);
+            assert.deepEqual(mismatches, []);
+        }
+        document.body.innerHTML = hh.div(hh.p('a', 'c')).render();
+        const { mismatches } = hh.div(hh.p('a', 'b')).hydrate(document.body.firstElementChild);
+        assert.deepEqual(mismatches.map(m => [m.type, m.expected]), [['text', 'ab']]);
+    });
+
+    it("Should report namespaced attributes and replaced element children", async (t) => {
+        const XLINK = 'http://www.w3.org/1999/xlink';
+        const span = document.createElement('span');
+        document.body.innerHTML = `<div><svg><use></use></svg><b></b></div>`;
+        const builder = hh.div(ss.svg(ss.use().setNs(XLINK, { 'xlink:href': '#icon' })), span);
+        const { element, mismatches } = builder.hydrate(document.body.firstElementChild);
+        assert.deepEqual(mismatches.map(m => [m.type, m.path]), [['attr', [0, 0]], ['node', [1]]]);
+        assert.equal(element.querySelector('use').getAttributeNS(XLINK, 'href'), '#icon');
+        assert.equal(element.children[1], span);
+    });
+});
+
+describe("builder.patch", () => {
+    it("Should update only what differs", async (t) => {
+        const view = (cls, items, title) => hh.div(hh.h1(title), hh.ul(...items.map(i => hh.li(i))).set({ class: cls }));
+        const div = view('list', [1, 2, 3], 'Title').set({ id: 'view' }).build();
+        const h1 = div.children[0], ul = div.children[1], li1 = ul.children[0];
+        const result = view('list2', [1, 5], 'Title 2').patch(div);
+
+        assert.equal(result, div);
+        assert.equal(div.children[0], h1);
+        assert.equal(div.children[1], ul);
+        assert.equal(ul.children[0], li1);
+        assert.equal(div.hasAttribute('id'), false);
+        assert.equal(div.outerHTML, '<div><h1>Title 2</h1><ul class="list2"><li>1</li><li>5</li></ul></div>');
+    });
+
+    it("Should preserve element state and assign changed props", async (t) => {
+        const input = hh.input().set({ type: 'text' }).build();
+        input.value = 'typed';
+        hh.input().set({ type: 'text' }).assign({ title: 'Name' }).patch(input);
+        assert.equal(input.value, 'typed');
+        assert.equal(input.title, 'Name');
+    });
+
+    it("Should replace the element if the tags differ", async (t) => {
+        const div = hh.div(hh.p('Para')).build();
+        document.body.replaceChildren(div);
+        const result = hh.section(hh.p('Para')).patch(div);
+        assert.equal(result.tagName, 'SECTION');
+        assert.equal(document.body.firstElementChild, result);
+    });
+
+    it("Should move keyed children instead of rebuilding them", async (t) => {
+        const view = items => hh.ul(...items.map(i => hh.li(`Item ${i}`).set({ 'data-id': i })));
+        const ul = view([1, 2, 3, 4]).build();
+        const [li1, li2, li3, li4] = ul.children;
+        view([4, 2, 5, 1]).patch(ul, { key: 'data-id' });
+
+        assert.deepEqual(Array.from(ul.children, li => li.textContent), ['Item 4', 'Item 2', 'Item 5', 'Item 1']);
+        assert.equal(ul.children[0], li4);
+        assert.equal(ul.children[1], li2);
+        assert.equal(ul.children[3], li1);
+        assert.equal(li3.parentNode, null);
+    });
+});
+
+describe("builder.renderStream", () => {
+    it("Should render the same markup as render", async (t) => {
+        const builder = hh.section('I am a section ', hh.button('Btn1').set({ class: 'btn' }), hh.article(hh.p('Para')));
+        let rendered = '';
+        for await (let chunk of builder.renderStream()) rendered += chunk;
+        assert.equal(rendered, builder.render());
+    });
+
+    it("Should flush the open tags before pending children resolve", async (t) => {
+        let resolve;
+        const pending = new Promise(r => resolve = r);
+        const iterator = hh.main(hh.h1('Title'), pending).renderStream()[Symbol.asyncIterator]();
+        const chunks = [];
+        for (let i = 0; i < 4; i++) chunks.push((await iterator.next()).value);
+        assert.equal(chunks.join('').trim(), `<main>
+    <h1>
+        Title
+    </h1>`);
+        resolve(hh.p('Loaded'));
+        let rest = '';
+        for (let result = await iterator.next(); !result.done; result = await iterator.next()) rest += result.value;
+        assert.equal(rest.trim(), `<p>
+        Loaded
+    </p>
+</main>`);
+    });
+
+    it("Should render async iterable children", async (t) => {
+        async function* items() {
+            for (let i = 1; i < 3; i++) yield hh.li(await Promise.resolve(i));
+        }
+        let rendered = '';
+        for await (let chunk of hh.ul(items()).renderStream()) rendered += chunk;
+        assert.equal(rendered, hh.ul(hh.li(1), hh.li(2)).render());
+    });
+
+    it("Should render nothing for promises resolving to null or undefined", async (t) => {
+        let rendered = '';
+        for await (let chunk of hh.div(Promise.resolve(null), 'text', Promise.resolve(undefined)).renderStream({ minify: true })) rendered += chunk;
+        assert.equal(rendered, '<div>text</div>');
+    });
+});
+
+describe("readableStream", () => {
+    it("Should wrap the rendered stream in a ReadableStream", async (t) => {
+        const builder = hh.div('<escaped>', Promise.resolve(hh.span('Later')));
+        const text = await new Response(readableStream(builder)).text();
+        assert.equal(text, hh.div('<escaped>', hh.span('Later')).render());
+    });
+});
+
+describe("builder.render (serialization)", () => {
+    it("Should not close void elements", async (t) => {
+        assert.equal(hh.p('Line 1', hh.br(), 'Line 2', hh.input().set({ value: 5 })).render({ minify: true }), 
+        '<p>Line 1<br>Line 2<input value="5"></p>');
+    });
+
+    it("Should render boolean, null and undefined attributes", async (t) => {
+        const rendered = hh.input().set({ type: 'checkbox', checked: true, disabled: false, title: null, name: undefined, tabindex: 0 }).render();
+        assert.equal(rendered, '<input type="checkbox" checked tabindex="0">');
+    });
+
+    it("Should escape text and attributes but not raw children", async (t) => {
+        const rendered = hh.div('a < b & c', raw('<b>bold</b>')).set({ title: '"quoted" & <tagged>' }).render();
+        assert.equal(rendered, `<div title="&quot;quoted&quot; &amp; &lt;tagged&gt;">
+    a &lt; b &amp; c
+    <b>bold</b>
+</div>`);
+    });
+
+    it("Should not escape the text of script elements", async (t) => {
+        assert.equal(hh.script('if (a < b) console.log("</script>")').render({ minify: true }), 
+        '<script>if (a < b) console.log("<\\/script>")</script>');
+    });
+
+    it("Should render foreign elements as XHTML", async (t) => {
+        const icon = ss.svg(ss.circle().set({ r: 5 }), ss.use().setNs('http://www.w3.org/1999/xlink', { 'xlink:href': '#dot' }));
+        assert.equal(hh.span(icon).render({ minify: true }), 
+        '<span><svg><circle r="5"/><use xlink:href="#dot"/></svg></span>');
+        assert.equal(icon.render({ minify: true }), 
+        '<svg xmlns="http://www.w3.org/2000/svg"><circle r="5"/><use xmlns:xlink="http://www.w3.org/1999/xlink" xlink:href="#dot"/></svg>');
+        assert.equal(mm.math(mm.mi('x')).render({ minify: true }), '<math xmlns="http://www.w3.org/1998/Math/MathML"><mi>x</mi></math>');
+    });
+
+    it("Should round-trip through createFragment", async (t) => {
+        const builder = hh.form(
+            hh.label('Name & Title ', hh.input().set({ name: 'name', required: true, hidden: false })),
+            hh.p('<not markup>', raw('<em>markup</em>')),
+            hh.div(ss.svg(ss.circle().set({ r: 5 })).set({ viewBox: '0 0 10 10' }))
+        ).set({ 'data-x': 1 });
+        const parsed = createFragment(builder.render({ minify: true })).firstChild;
+        assert.equal(parsed.isEqualNode(builder.build()), true);
+    });
+});
+
+describe("builder.shadow", () => {
+    const css = new window.CSSStyleSheet();
+    css.insertRule(':host { display: block; }');
+    const style = new StyleSheet(css);
+    const card = () => hh.div(hh.span('Title').set({ slot: 'title' })).shadow('open', style, hh.slot().set({ name: 'title' }));
+
+    it("Should build a shadow root with adopted stylesheets", async (t) => {
+        const div = card().build();
+        assert.equal(div.shadowRoot.innerHTML, '<slot name="title"></slot>');
+        assert.deepEqual(div.shadowRoot.adoptedStyleSheets, [css]);
+        assert.equal(div.innerHTML, '<span slot="title">Title</span>');
+    });
+
+    it("Should render a declarative shadow root with inlined styles", async (t) => {
+        assert.equal(card().render(), `<div>
+    <template shadowrootmode="open">
+        <style>
+            :host {display: block;}
+        </style>
+        <slot name="title"></slot>
+    </template>
+    <span slot="title">
+        Title
+    </span>
+</div>`);
+    });
+
+    it("Should hydrate the declarative shadow root", async (t) => {
+        const builder = card();
+        document.body.innerHTML = builder.render({ minify: true });
+        const { element, mismatches } = builder.hydrate(document.body.firstElementChild);
+        assert.deepEqual(mismatches, []);
+        assert.equal(element.shadowRoot.querySelector('slot').name, 'title');
+        assert.equal(element.children.length, 1);
+    });
+
+    it("Should not leak parents when rendering and support inserting among shadow children", async (t) => {
+        const slot = hh.slot();
+        const host = hh.div().shadow('open', slot);
+        host.render();
+        host.render({ minify: true });
+        assert.deepEqual([...slot.parents], [host]);
+        hh.p('before').insertBefore(slot);
+        hh.p('after').insertAfter(slot);
+        hh.em('new').replace(slot);
+        assert.equal(host.render({ minify: true }), '<div><template shadowrootmode="open"><p>before</p><em>new</em><p>after</p></template></div>');
+        assert.deepEqual(host.children, []);
+    });
+});
+
+describe("builder lifecycle", () => {
+    const tick = () => new Promise(r => setTimeout(r));
+
+    it("Should call the connect and disconnect hooks", async (t) => {
+        const calls = [];
+        const div = hh.div().onConnect(el => calls.push('connect')).onDisconnect(el => calls.push('disconnect')).build();
+        document.body.append(div);
+        await tick();
+        div.remove();
+        await tick();
+        assert.deepEqual(calls, ['connect', 'disconnect']);
+    });
+
+    it("Should dispose the components in the subtree", async (t) => {
+        const calls = [];
+        const component = name => el => () => calls.push(name);
+        const div = hh.div(hh.p('Para').apply(component('p'))).apply(component('div')).build();
+        dispose(div);
+        assert.deepEqual(calls, ['div', 'p']);
+    });
+});
+
+describe("builder.toJSON", () => {
+    const highlight = el => el.highlighted = true;
+    registerComponents({ highlight });
+
+    it("Should serialize and revive a builder tree", async (t) => {
+        const builder = hh.section(
+            'Text ', 5, raw('<b>bold</b>'),
+            hh.input().set({ name: 'n', required: true }).assign({ value: 'v', onclick() {} }).apply(highlight, el => el.other = true),
+            ss.svg(ss.use().setNs('http://www.w3.org/1999/xlink', { 'xlink:href': '#dot' }))
+        ).set({ class: 'main' });
+        const json = JSON.stringify(builder);
+        assert.equal(json.includes('parents'), false);
+
+        const revived = Builder.fromJSON(json);
+        assert.equal(revived instanceof HTMLElementBuilder, true);
+        assert.equal(revived.children[4] instanceof SVGElementBuilder, true);
+        assert.equal(revived.children[3].parents.has(revived), true);
+        assert.deepEqual(revived.children[3].props, { value: 'v' });
+        assert.deepEqual(revived.children[3].components, [highlight]);
+        assert.equal(revived.render(), builder.render());
+
+        const built = revived.build();
+        assert.equal(built.querySelector('input').highlighted, true);
+        assert.equal(built.querySelector('input').value, 'v');
+        assert.equal(built.querySelector('use').getAttributeNS('http://www.w3.org/1999/xlink', 'href'), '#dot');
+    });
+
+    it("Should throw for unknown components", async (t) => {
+        const json = { ...hh.p('Para').toJSON(), components: ['unknown'] };
+        assert.throws(() => Builder.fromJSON(json), /unknown/);
+    });
+
+    it("Should not resolve inherited names as components", async (t) => {
+        const json = { ...hh.p('Para').toJSON(), components: ['toString'] };
+        assert.throws(() => Builder.fromJSON(json), /toString/);
+        assert.throws(() => Builder.fromJSON(json, {}), /toString/);
+    });
+
+    it("Should revive null children", async (t) => {
+        const builder = hh.p('Para', null);
+        const revived = Builder.fromJSON(JSON.stringify(builder));
+        assert.deepEqual(revived.children, ['Para', null]);
+        assert.equal(revived.render(), builder.render());
+    });
+});
+
+describe("builder.compile", () => {
+    const rowBuilder = (id, label, selected) => hh.tr(
+        hh.td(id).set({ class: 'col-md-1' }),
+        hh.td(hh.a(label).set({ href: selected }).assign({ title: label })).set({ class: 'col-md-4' }),
+        hh.td(hh.a(hh.span().set({ class: 'glyphicon glyphicon-remove', 'aria-hidden': 'true' }))).set({ class: 'col-md-1' }),
+        hh.td().set({ class: 'col-md-6' })
+    );
+    const row = rowBuilder(hole(item => item.id), hole(item => item.label), hole(item => item.selected? `#${item.id}`: null)).compile();
+    const items = Array.from({ length: 2000 }, (_, i) => ({ id: i, label: `Item ${i}`, selected: i % 2 === 0 }));
+
+    it("Should build the same elements as build", async (t) => {
+        for (let item of items.slice(0, 4)) {
+            const compiled = row(item), built = rowBuilder(item.id, item.label, item.selected? `#${item.id}`: null).build();
+            assert.equal(compiled.isEqualNode(built), true);
+            assert.equal(compiled.querySelector('a').title, item.label);
+        }
+    });
+
+    it("Should run the components on every built element", async (t) => {
+        const make = hh.ul(hh.li(hole(n => n)).apply((el) => el.component = el.textContent)).apply(el => el.count = el.children.length).compile();
+        const ul1 = make(1), ul2 = make(2);
+        assert.equal(ul1.firstChild.component, '1');
+        assert.equal(ul2.firstChild.component, '2');
+        assert.equal(ul2.count, 1);
+    });
+
+    it("Should be faster than building (benchmark)", async (t) => {
+        let start = performance.now();
+        for (let item of items) rowBuilder(item.id, item.label, item.selected? `#${item.id}`: null).build();
+        const buildTime = performance.now() - start;
+
+        start = performance.now();
+        for (let item of items) row(item);
+        const compiledTime = performance.now() - start;
+
+        t.diagnostic(`build: ${buildTime.toFixed(1)}ms, compiled: ${compiledTime.toFixed(1)}ms, speedup: ${(buildTime / compiledTime).toFixed(2)}x`);
+    });
+});
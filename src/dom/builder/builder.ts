@@ -14,10 +14,10 @@
  * 5. Elements can be built more dynamically.
  * 6. Elements can be composed from different places
  * 7. Use the same code to create elements on the client and server.
- * 8. Safe by default. You need to pass functions instead of text to 
- * specify HTML text. All text supplied as children are escaped. All 
- * attributes are also escaped. (Note this only applies to `render` methods 
- * which output HTML text).
+ * 8. Safe by default. You need to pass {@link raw} values (or functions) 
+ * instead of text to specify HTML text. All text supplied as children are 
+ * escaped. All attributes are also escaped. (Note this only applies to 
+ * `render` methods which output HTML text).
  * 
  * Notes: 
  * 
@@ -33,11 +33,141 @@
  */
 
 import { IComponent } from "../dom";
+import { StyleSheet, createStyle } from "../../css/css.js";
+import { IMap } from "../../types.js";
+import { addDisposer, IConnectCallback, IDisconnectCallback, onConnect, onDisconnect } from "../lifecycle/lifecycle.js";
+import { escString, SafeHtml as Raw, raw } from "../esc/esc.js";
+import { createFragment } from "../html/html.js";
 
 
 export type IConstructor<T> = { new (): T; prototype: T; };
 export type IBuilder = Builder<string, typeof Element>;
-export type IElementChild = IBuilder|(() => string)|string|number|Element;
+export type IElementChild = IBuilder|Raw|Hole|(() => string)|string|number|Element;
+
+/**
+ * Trusted markup which is inserted into a builder without escaping. It is 
+ * the `SafeHtml` class of the esc module (which is also returned by 
+ * `safeHtml` templates), re-exported under this name. Create instances 
+ * with {@link raw}.
+ */
+export { Raw, raw };
+
+/**
+ * A dynamic part of a builder which is compiled with {@link Builder#compile}. 
+ * Create instances with {@link hole}.
+ */
+export class Hole {
+    get: (...args: any[]) => any;
+    constructor(get: (...args: any[]) => any) {
+        this.get = get;
+    }
+}
+
+/**
+ * Marks a text child, attribute value or property value of a builder as 
+ * dynamic. The getter is called with the arguments passed to the factory 
+ * returned by {@link Builder#compile} to obtain the value for each 
+ * built element.
+ * 
+ * @example
+ * import { hh, hole } from 'deleight/dom/builder'
+ * const row = hh.tr(hh.td(hole(item => item.id)), hh.td(hole(item => item.label))).compile();
+ * tbody.append(...items.map(row));
+ * 
+ * @param get 
+ * @returns 
+ */
+export function hole(get: (...args: any[]) => any) {
+    return new Hole(get);
+}
+
+/**
+ * Optional arguments to {@link Builder#render} and {@link Builder#renderStream}.
+ */
+export interface IRenderOptions {
+    /**
+     * The number of spaces to indent the rendered element with. 
+     * Nested elements are indented by 4 more spaces than their parents.
+     */
+    indent?: number;
+    /**
+     * Renders the element without any indentation or line breaks. 
+     * The output will parse into the same tree as the built element.
+     */
+    minify?: boolean;
+}
+
+/**
+ * Children which can only be rendered with {@link Builder#renderStream}.
+ */
+export type IAsyncElementChild = IElementChild|Promise<any>|AsyncIterable<any>;
+
+/**
+ * A difference found between a builder tree and the element it 
+ * is hydrating. `path` holds the indices of the builder children 
+ * leading from the hydrated root to the builder that owns the 
+ * mismatched node. The type `node` is reported when an `Element` 
+ * child of a builder is put in place of a different node.
+ */
+export interface IHydrateMismatch {
+    type: 'tag' | 'attr' | 'text' | 'node' | 'missing' | 'extra';
+    path: number[];
+    expected?: any;
+    actual?: any;
+    node?: Node;
+}
+
+/**
+ * The return value of {@link Builder#hydrate}.
+ */
+export interface IHydrateResult<T extends Element> {
+    element: T;
+    mismatches: IHydrateMismatch[];
+}
+
+/**
+ * The shadow root declared on a builder with {@link Builder#shadow}.
+ */
+export interface IShadowRoot {
+    mode: ShadowRootMode;
+    children: IElementChild[];
+    styles: StyleSheet[];
+}
+
+/**
+ * The JSON form of a builder child. Markup children (including 
+ * {@link raw} values and elements) are stored as `{ raw: markup }`.
+ */
+export type IChildJSON = IBuilderJSON | string | number | { raw: string };
+
+/**
+ * The JSON form of a builder returned by {@link Builder#toJSON}.
+ */
+export interface IBuilderJSON {
+    tag: string;
+    ns: 'html' | 'svg' | 'math';
+    attrs: object;
+    nsAttrs: object;
+    props: object;
+    children: IChildJSON[];
+    /**
+     * The registered names of the builder's components.
+     */
+    components: string[];
+    shadow?: { mode: ShadowRootMode, children: IChildJSON[], styles: string[] };
+}
+
+/**
+ * Optional arguments to {@link Builder#patch}.
+ */
+export interface IPatchOptions {
+    /**
+     * The name of an attribute used to identify children across patches. 
+     * Live children whose value for this attribute matches that of a builder 
+     * child are moved into place instead of being rebuilt.
+     */
+    key?: string;
+}
 
 /**
  * This will escape all input strings so it is safe by 
@@ -52,6 +182,7 @@ export class Builder<T extends string, U extends typeof Element> {
     children: IElementChild[] = []
     components: IComponent[] = [];
     parents?: Set<IBuilder> = new Set();
+    shadowRoot?: IShadowRoot;
 
     constructor(tag: T, ...children: IElementChild[]) {
         this.tag = tag;
@@ -89,55 +220,339 @@ export class Builder<T extends string, U extends typeof Element> {
         this.append(...children);
         return this;
     }
+    /**
+     * Declares a shadow root for the element with the given children. 
+     * Any `StyleSheet` (or `CSSStyleSheet`) among the children is adopted 
+     * by the shadow root when building, and inlined as a `style` element 
+     * when rendering. 
+     * 
+     * {@link Builder#build} attaches a real shadow root while {@link Builder#render} 
+     * emits a declarative shadow root (`<template shadowrootmode="...">`) 
+     * so that server-rendered components are styled before any JavaScript runs.
+     * 
+     * @example
+     * import { hh } from 'deleight/dom/builder'
+     * import { StyleSheet, createStyle } from 'deleight/css'
+     * const style = new StyleSheet(createStyle(':host { display: block; }'));
+     * const card = hh.div(hh.span('Title').set({ slot: 'title' })).shadow('open', style, hh.slot().set({ name: 'title' }));
+     * card.render();
+     * // <div>
+     * //     <template shadowrootmode="open">
+     * //         <style>
+     * //             :host {display: block;}
+     * //         </style>
+     * //         <slot name="title"></slot>
+     * //     </template>
+     * //     <span slot="title">
+     * //         Title
+     * //     </span>
+     * // </div>
+     * 
+     * @param mode 
+     * @param children 
+     * @returns 
+     */
+    shadow(mode: ShadowRootMode, ...children: (IElementChild | StyleSheet | CSSStyleSheet)[]) {
+        const shadowRoot: IShadowRoot = { mode, children: [], styles: [] };
+        for (let child of children) {
+            if (child instanceof StyleSheet) shadowRoot.styles.push(child);
+            else if (typeof CSSStyleSheet !== 'undefined' && child instanceof CSSStyleSheet) shadowRoot.styles.push(new StyleSheet(child));
+            else {
+                shadowRoot.children.push(child as IElementChild);
+                if (child instanceof Builder) child.parents.add(this);
+            }
+        }
+        this.shadowRoot = shadowRoot;
+        return this;
+    }
     apply(...components: IComponent[]) {
         this.components.push(...components);
         return this;
     }
+    /**
+     * Returns a JSON-safe description of the builder which can be sent 
+     * across threads or from the server and turned back into a builder 
+     * with {@link Builder.fromJSON}. 
+     * 
+     * Only JSON-safe `props` are kept. Components are stored by the names 
+     * they were given with {@link registerComponents}; unregistered 
+     * components (including lifecycle hooks) are left out.
+     * 
+     * This is called automatically by `JSON.stringify`.
+     * 
+     * @example
+     * import { hh, registerComponents, Builder } from 'deleight/dom/builder'
+     * const highlight = (el) => el.style.color = 'red';
+     * registerComponents({ highlight });
+     * const json = JSON.stringify(hh.p('Important').apply(highlight));
+     * // in another thread:
+     * const p = Builder.fromJSON(json).build();
+     * 
+     * @returns 
+     */
+    toJSON(): IBuilderJSON {
+        const result: IBuilderJSON = {
+            tag: this.tag,
+            ns: this instanceof SVGElementBuilder? 'svg': this instanceof MathMLElementBuilder? 'math': 'html',
+            attrs: this.attrs,
+            nsAttrs: this.nsAttrs,
+            props: Object.fromEntries(Object.entries(this.props).filter(([k, v]) => isJSONSafe(v))),
+            children: this.children.map(childJSON),
+            components: this.components.filter(c => componentNames.has(c)).map(c => componentNames.get(c))
+        };
+        if (this.shadowRoot) result.shadow = {
+            mode: this.shadowRoot.mode, 
+            children: this.shadowRoot.children.map(childJSON),
+            styles: this.shadowRoot.styles.map(style => cssText(style.css))
+        };
+        return result;
+    }
+    /**
+     * Revives a builder from the output of {@link Builder#toJSON} (or 
+     * its string form). The revived builder is the same as one created with 
+     * {@link html}, {@link svg} or {@link math}. Component names are resolved 
+     * from the given components object (or the ones registered with 
+     * {@link registerComponents} by default).
+     * 
+     * @example
+     * import { Builder } from 'deleight/dom/builder'
+     * const builder = Builder.fromJSON('{"tag":"p","ns":"html","attrs":{},"nsAttrs":{},"props":{},"children":["Para"],"components":[]}');
+     * builder.render();
+     * 
+     * @param json 
+     * @param components 
+     * @returns 
+     */
+    static fromJSON(json: IBuilderJSON | string, components: IMap<IComponent> = namedComponents): IBuilder {
+        if (typeof json === 'string') json = JSON.parse(json) as IBuilderJSON;
+        const create: (tag: string, ...children: IElementChild[]) => IBuilder = (json.ns === 'svg'? svg: json.ns === 'math'? math: html) as any;
+        const builder = create(json.tag, ...(json.children || []).map(c => childFromJSON(c, components)));
+        builder.set(json.attrs || {}).assign(json.props || {});
+        for (let [namespace, attrs] of Object.entries(json.nsAttrs || {})) builder.setNs(namespace, attrs);
+        for (let name of json.components || []) {
+            if (!Object.hasOwn(components, name)) throw new Error(`The component: ${name} could not be found in the registry.`);
+            builder.apply(components[name]);
+        }
+        if (json.shadow) {
+            builder.shadow(json.shadow.mode, 
+                ...json.shadow.styles.map(css => new StyleSheet(createStyle(css))), 
+                ...json.shadow.children.map(c => childFromJSON(c, components)));
+        }
+        return builder;
+    }
+    /**
+     * Registers callbacks to run whenever the built element is connected 
+     * to the document. A function returned by a callback runs when 
+     * the element is next disconnected. See {@link onConnect}.
+     * 
+     * @example
+     * import { hh } from 'deleight/dom/builder'
+     * const clock = hh.time().onConnect(el => {
+     *     const id = setInterval(() => el.textContent = new Date().toString(), 1000);
+     *     return () => clearInterval(id);
+     * });
+     * document.body.append(clock.build());
+     * 
+     * @param callbacks 
+     * @returns 
+     */
+    onConnect(...callbacks: IConnectCallback[]) {
+        return this.apply((element: Element) => { onConnect(element, ...callbacks) });
+    }
+    /**
+     * Registers callbacks to run whenever the built element is disconnected 
+     * from the document. See {@link onDisconnect}.
+     * 
+     * @example
+     * import { hh } from 'deleight/dom/builder'
+     * const dialog = hh.dialog().onDisconnect(el => console.log('closed'));
+     * 
+     * @param callbacks 
+     * @returns 
+     */
+    onDisconnect(...callbacks: IDisconnectCallback[]) {
+        return this.apply((element: Element) => { onDisconnect(element, ...callbacks) });
+    }
     replaceComponents(...components: IComponent[]) {
         this.components.length = 0;
         this.apply(...components);
         return this;
     }
-    render(indent = 0): string {
-        const attrs = Object.entries(this.attrs);
-        const nsAttrs = Object.entries(this.nsAttrs);
-        const pad = new Array(indent).fill(' ').join('');
-
-        return `${pad}<${this.tag}${attrs.length? ` ${attrs.map(([k, v]) => `${k}="${v.replaceAll('"', '&quot;')}"`).join(' ')}`: ``}${nsAttrs.length? ` ${nsAttrs.map(([ns, attrs]) => attrs.map(([k, v]) => `${ns}:${k}="${v.replaceAll('"', '&quot;')}"`).join(' ')).join(' ')}`: ``}>
-${this.children.map(c => c instanceof Builder? c.render(indent + 4): `${pad}    ${c}`.replaceAll('<', '&lt;').replaceAll('>', '&gt;')).join(`\n${pad}`)}
-${pad}</${this.tag}>`;
+    /**
+     * Serializes the builder as HTML. Void elements (like `input` and `br`) 
+     * have no closing tag. Attributes set to `true` are rendered without a value 
+     * while those set to `false`, `null` or `undefined` are left out. Text children 
+     * are escaped while {@link raw} children are inserted verbatim. 
+     * 
+     * SVG and MathML builders render as XHTML with self-closing empty elements. 
+     * When they are rendered on their own (not within an HTML builder), 
+     * namespace declarations are also added so that the output is a valid 
+     * XML document.
+     * 
+     * The number argument (for backward compatibility) is the same as 
+     * `{ indent }`.
+     * 
+     * @example
+     * import { hh } from 'deleight/dom/builder'
+     * hh.label('Name', hh.input().set({ name: 'name', required: true })).render({ minify: true });
+     * // <label>Name<input name="name" required></label>
+     * 
+     * @param options 
+     * @returns 
+     */
+    render(options: number | IRenderOptions = 0): string {
+        return renderBuilder(this, renderContext(options));
+    }
+    /**
+     * Streaming equivalent of {@link Builder#render}. Returns an async 
+     * iterable of the rendered chunks. Children here may also be 
+     * promises or async iterables (of children). Open tags (and everything 
+     * before a pending child) are yielded before the pending child resolves 
+     * so that they can be flushed to the client immediately. Promises (or 
+     * async iterable items) resolving to `null` or `undefined` render nothing.
+     * 
+     * Use {@link readableStream} to get a web `ReadableStream` instead.
+     * 
+     * @example
+     * import { hh } from 'deleight/dom/builder'
+     * const rows = fetch('/api/rows').then(r => r.json()).then(rows => hh.ul(...rows.map(r => hh.li(r.name))));
+     * for await (let chunk of hh.main(hh.h1('Rows'), rows).renderStream()) response.write(chunk);
+     * 
+     * @param options 
+     */
+    async *renderStream(options: number | IRenderOptions = 0): AsyncGenerator<string> {
+        yield* streamBuilder(this, renderContext(options));
     }
     build(): InstanceType<U> {
         return this.setup(this.create());
     }
+    /**
+     * Attaches this builder to an existing element (such as one parsed 
+     * from the output of {@link Builder#render}) instead of creating a new 
+     * one. The element's child nodes are walked alongside the builder's 
+     * `children`; matching nodes are reused, `props` are assigned and 
+     * `components` are run on them. 
+     * 
+     * Whitespace-only text and comments are ignored during the walk 
+     * and text is compared with its whitespace runs collapsed. 
+     * Any mismatch found is repaired (by building the expected node) 
+     * and reported in the returned `mismatches` array.
+     * 
+     * @example
+     * import { hh } from 'deleight/dom/builder'
+     * const builder = hh.button('Click me').assign({ onclick() { console.log('clicked') } });
+     * document.body.innerHTML = builder.render();
+     * const { element, mismatches } = builder.hydrate(document.body.firstElementChild);
+     * // element === document.body.firstElementChild
+     * // mismatches.length === 0
+     * 
+     * @param element 
+     * @returns 
+     */
+    hydrate(element: Element): IHydrateResult<InstanceType<U>> {
+        const mismatches: IHydrateMismatch[] = [];
+        return { element: hydrateBuilder(this, element, [], mismatches) as InstanceType<U>, mismatches };
+    }
     create(): InstanceType<U> {
         throw new Error('You must implement `build` in a subclass');
     }
     setup(element: InstanceType<U>) {
         // attributes
+        let value: string;
         for (let [k, v] of Object.entries(this.attrs)) {
-            element.setAttribute(k, v);
+            if ((value = attrValue(v)) !== undefined) element.setAttribute(k, value);
         }
 
         // namespaced attributes
-        let qualifiedName: string, value: string;
         for (let [namespace, attrs] of Object.entries(this.nsAttrs)) {
-            for ([qualifiedName, value] of attrs) {
-                element.setAttributeNS(namespace, qualifiedName, value)
+            for (let [qualifiedName, v] of Object.entries(attrs)) {
+                if ((value = attrValue(v)) !== undefined) element.setAttributeNS(namespace, qualifiedName, value);
             }
         }
 
         // properties
         Object.assign(element, this.props);
 
+        // shadow root
+        if (this.shadowRoot) {
+            const root = element.attachShadow({ mode: this.shadowRoot.mode });
+            root.append(...buildChildren(this.shadowRoot.children));
+            for (let style of this.shadowRoot.styles) style.add(root);
+        }
+
         // children
-        element.append(...this.children.map(c => typeof c === 'number'? `${c}`: c instanceof Builder? c.build(): c instanceof Function? c(): c));
+        element.append(...buildChildren(this.children));
 
-        // components
-        for (let component of this.components) component(element);
+        // components (returned functions are disposers).
+        for (let component of this.components) addDisposer(element, component(element));
 
         return element;
     }
+    /**
+     * Returns a factory which builds elements like {@link Builder#build} 
+     * but much faster when called repeatedly. The static parts of the 
+     * builder tree are created once inside a `template` element, which is 
+     * then cloned for every call. Only the dynamic parts (the {@link hole}s, 
+     * `props`, shadow roots and `components`) are filled in each time, 
+     * in the same order as `build` would.
+     * 
+     * The arguments passed to the factory are passed on to the getters 
+     * of the holes.
+     * 
+     * @example
+     * import { hh, hole } from 'deleight/dom/builder'
+     * const row = hh.tr(
+     *     hh.td(hole(item => item.id)), 
+     *     hh.td(hh.a(hole(item => item.label)).set({ href: hole(item => `#${item.id}`) }))
+     * ).compile();
+     * tbody.append(...items.map(item => row(item)));
+     * 
+     * @returns 
+     */
+    compile(): (...args: any[]) => InstanceType<U> {
+        const sites: ISite[] = [];
+        const root = skeleton(this, sites);
+        const template = document.createElement('template');
+        template.content.append(root);
+        const paths = sites.map(site => pathOf(site.node, root));
+
+        return (...args: any[]) => {
+            const element = template.content.firstChild.cloneNode(true) as InstanceType<U>;
+            const nodes = paths.map(path => nodeAt(element, path));
+            for (let i = 0; i < sites.length; i++) sites[i].fill(nodes[i], args);
+            return element;
+        }
+    }
+    /**
+     * Updates a live element so that it matches what {@link Builder#build} 
+     * would produce, changing only what differs. The tag, `attrs`, `nsAttrs`, 
+     * `props` and `children` are compared with the element and its child 
+     * nodes. Elements which are reused keep their state (focus, scroll 
+     * position, input values...). 
+     * 
+     * `components` are only run on newly built elements, never on 
+     * patched ones.
+     * 
+     * Supply `options.key` to match children by the value of an attribute 
+     * so that reordered children are moved instead of rebuilt.
+     * 
+     * Returns the patched element or the newly built one if the tags differ 
+     * (in which case it has replaced the given element).
+     * 
+     * @example
+     * import { hh } from 'deleight/dom/builder'
+     * const view = items => hh.ul(...items.map(i => hh.li(i.name).set({ 'data-id': i.id })));
+     * const ul = view([{ id: 1, name: 'One' }, { id: 2, name: 'Two' }]).build();
+     * view([{ id: 2, name: 'Two' }, { id: 1, name: 'One' }]).patch(ul, { key: 'data-id' });
+     * // the 2 li elements are swapped without rebuilding them.
+     * 
+     * @param element 
+     * @param options 
+     * @returns 
+     */
+    patch(element: Element, options?: IPatchOptions): InstanceType<U> {
+        return patchBuilder(this, element, options) as InstanceType<U>;
+    }
     appendTo(...targets: (Element|IBuilder)[]) {
         for (let target of targets)
             if (target instanceof Builder) {
@@ -161,7 +576,7 @@ ${pad}</${this.tag}>`;
         for (let target of targets)
             if (target instanceof Builder) {
                 for (parent of target.parents) {
-                    children = parent.children;
+                    children = siblings(parent, target);
                     children.splice(children.indexOf(target), 0, this);
                 }
             } else target.parentNode.insertBefore(this.build(), target);
@@ -172,7 +587,7 @@ ${pad}</${this.tag}>`;
         for (let target of targets)
             if (target instanceof Builder) {
                 for (parent of target.parents) {
-                    children = parent.children;
+                    children = siblings(parent, target);
                     children.splice(children.indexOf(target) + 1, 0, this);
                 }
             } else target.parentNode.insertBefore(this.build(), target);
@@ -183,7 +598,7 @@ ${pad}</${this.tag}>`;
         for (let target of targets)
             if (target instanceof Builder) {
                 for (parent of target.parents) {
-                    children = parent.children;
+                    children = siblings(parent, target);
                     children[children.indexOf(target)] = this;
                 }
             } else target.replaceWith(this.build());
@@ -191,6 +606,607 @@ ${pad}</${this.tag}>`;
     }
 }
 
+/**
+ * Returns the children of the parent (or of its shadow root) which 
+ * contain the child.
+ */
+function siblings(parent: IBuilder, child: IBuilder) {
+    return (parent.shadowRoot?.children.includes(child) && !parent.children.includes(child))? 
+        parent.shadowRoot.children: parent.children;
+}
+
+const SVG_NS = 'http://www.w3.org/2000/svg', MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+
+/**
+ * Elements which have no closing tag (or children) in HTML.
+ */
+const voidElements = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 
+    'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+/**
+ * Elements whose text content is not escaped in HTML.
+ */
+const rawTextElements = new Set(['script', 'style']);
+
+interface IRenderContext {
+    indent: number;
+    minify: boolean;
+    namespace?: string;
+    parent?: IBuilder;
+    /**
+     * Whether we are rendering a standalone SVG or MathML document 
+     * (instead of foreign elements embedded in HTML) and so need 
+     * namespace declarations.
+     */
+    standalone?: boolean;
+}
+
+function renderContext(options: number | IRenderOptions): IRenderContext {
+    if (typeof options === 'number') return { indent: options, minify: false };
+    return { indent: options?.indent || 0, minify: !!options?.minify };
+}
+
+function namespaceOf(builder: IBuilder) {
+    if (builder instanceof SVGElementBuilder) return SVG_NS;
+    else if (builder instanceof MathMLElementBuilder) return MATHML_NS;
+}
+
+/**
+ * Returns the string value of an attribute or undefined if the 
+ * attribute should be omitted.
+ */
+function attrValue(value: any): string {
+    if (value === true) return '';
+    else if (value !== false && value !== null && value !== undefined) return `${value}`;
+}
+
+function isMarkup(child: any): child is Raw | (() => string) {
+    return child instanceof Raw || child instanceof Function;
+}
+
+function markup(child: Raw | (() => string)) {
+    return child instanceof Raw? child.html: child();
+}
+
+function renderAttrs(builder: IBuilder, xml: boolean, standalone: boolean, declareNs?: string) {
+    const result: string[] = [];
+    let value: string, prefix: string;
+    if (declareNs && !Reflect.has(builder.attrs, 'xmlns')) result.push(`xmlns="${declareNs}"`);
+
+    for (let [k, v] of Object.entries(builder.attrs)) {
+        if ((value = attrValue(v)) === undefined) continue;
+        if (value === '' && v === true && !xml) result.push(k);
+        else result.push(`${k}="${escString(value)}"`);
+    }
+    for (let [namespace, attrs] of Object.entries(builder.nsAttrs)) {
+        prefix = Object.keys(attrs).find(k => k.includes(':'))?.split(':')[0];
+        if (standalone && prefix && prefix !== 'xml' && prefix !== 'xmlns' && !Reflect.has(builder.attrs, `xmlns:${prefix}`)) {
+            result.push(`xmlns:${prefix}="${escString(namespace)}"`);
+        }
+        for (let [k, v] of Object.entries(attrs)) {
+            if ((value = attrValue(v)) !== undefined) result.push(`${k}="${escString(value)}"`);
+        }
+    }
+    return result.length? ` ${result.join(' ')}`: '';
+}
+
+/**
+ * Returns the rendered parts of the builder's element around its children. 
+ * `end` is undefined for elements which cannot have children.
+ */
+function renderParts(builder: IBuilder, context: IRenderContext) {
+    const pad = context.minify? '': new Array(context.indent).fill(' ').join('');
+    const sep = context.minify? '': '\n';
+    const namespace = namespaceOf(builder), xml = namespace !== undefined;
+    const standalone = context.parent? context.standalone: xml;
+    const open = `${pad}<${builder.tag}${renderAttrs(builder, xml, standalone, standalone && namespace !== context.namespace? namespace: undefined)}`;
+    const childContext: IRenderContext = { 
+        indent: context.indent + 4, minify: context.minify, namespace, parent: builder, standalone 
+    };
+
+    if (!xml && voidElements.has(builder.tag.toLowerCase())) return { start: `${open}>`, sep, childContext };
+    else if (!builder.children.length && !builder.shadowRoot) {
+        if (xml) return { start: `${open}/>`, sep, childContext };
+        else return { start: `${open}>`, end: `</${builder.tag}>`, sep, childContext };
+    }
+    return { start: `${open}>${sep}`, end: `${sep}${pad}</${builder.tag}>`, sep, childContext };
+}
+
+function renderBuilder(builder: IBuilder, context: IRenderContext): string {
+    const { start, end, sep, childContext } = renderParts(builder, context);
+    if (end === undefined) return start;
+    return `${start}${renderedChildren(builder).map(c => renderChild(c, childContext)).join(sep)}${end}`;
+}
+
+async function* streamBuilder(builder: IBuilder, context: IRenderContext): AsyncGenerator<string> {
+    const { start, end, sep, childContext } = renderParts(builder, context);
+    yield start;
+    if (end === undefined) return;
+    let i = 0;
+    for (let c of renderedChildren(builder) as IAsyncElementChild[]) {
+        if (i++) yield sep;
+        yield* streamChild(c, childContext);
+    }
+    yield end;
+}
+
+/**
+ * Returns the builder's children preceded by the declarative shadow 
+ * root (if any).
+ */
+function renderedChildren(builder: IBuilder): IElementChild[] {
+    if (!builder.shadowRoot) return builder.children;
+    const { mode, children, styles } = builder.shadowRoot;
+    // the children are not appended so that the throwaway template is not added to their parents
+    const template = html('template').set({ shadowrootmode: mode });
+    template.children.push(...styles.map(style => html('style', cssText(style.css))), ...children);
+    return [template, ...builder.children];
+}
+
+function cssText(css: CSSStyleSheet) {
+    return Array.from(css.cssRules || [], rule => rule.cssText).join('\n');
+}
+
+/**
+ * The components registered with {@link registerComponents}.
+ */
+export const namedComponents: IMap<IComponent> = {};
+const componentNames = new WeakMap<IComponent, string>();
+
+/**
+ * Registers components by name so that they can be included in the output 
+ * of {@link Builder#toJSON} and found again by {@link Builder.fromJSON}.
+ * 
+ * @example
+ * import { registerComponents } from 'deleight/dom/builder'
+ * registerComponents({ highlight: (el) => el.style.color = 'red' });
+ * 
+ * @param components 
+ */
+export function registerComponents(components: IMap<IComponent>) {
+    for (let [name, component] of Object.entries(components)) {
+        namedComponents[name] = component;
+        componentNames.set(component, name);
+    }
+}
+
+function isJSONSafe(value: any): boolean {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') return true;
+    else if (typeof value === 'number') return isFinite(value);
+    else if (value instanceof Array) return value.every(isJSONSafe);
+    else if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.values(value).every(isJSONSafe);
+    }
+    return false;
+}
+
+function childJSON(c: IElementChild): IChildJSON {
+    if (c instanceof Builder) return c.toJSON();
+    else if (isMarkup(c)) return { raw: markup(c) };
+    else if (c instanceof Element) return { raw: c.outerHTML };
+    else if (c instanceof Hole) throw new TypeError('Holes can only be used in compiled builders.');
+    else return c;
+}
+
+function childFromJSON(c: IChildJSON, components: IMap<IComponent>): IElementChild {
+    // null is rendered like other primitive children.
+    if (c === null || typeof c !== 'object') return c as string | number;
+    else if (Reflect.has(c, 'raw')) return raw((c as { raw: string }).raw);
+    else return Builder.fromJSON(c as IBuilderJSON, components);
+}
+
+/**
+ * A node in a compiled skeleton which needs to be filled in 
+ * for every built element.
+ */
+interface ISite {
+    node: Node;
+    fill: (node: Node, args: any[]) => any;
+}
+
+/**
+ * Creates the static parts of the builder's element and records the 
+ * dynamic parts in `sites`.
+ */
+function skeleton(builder: IBuilder, sites: ISite[]): Element {
+    const element = builder.create();
+    const fills: ((element: Element, args: any[]) => any)[] = [];
+    let value: string;
+
+    // attributes
+    for (let [k, v] of Object.entries(builder.attrs)) {
+        if (v instanceof Hole) fills.push((el, args) => {
+            if ((value = attrValue(v.get(...args))) !== undefined) el.setAttribute(k, value);
+        });
+        else if ((value = attrValue(v)) !== undefined) element.setAttribute(k, value);
+    }
+
+    // namespaced attributes
+    for (let [namespace, attrs] of Object.entries(builder.nsAttrs)) {
+        for (let [qualifiedName, v] of Object.entries(attrs)) {
+            if (v instanceof Hole) fills.push((el, args) => {
+                if ((value = attrValue(v.get(...args))) !== undefined) el.setAttributeNS(namespace, qualifiedName, value);
+            });
+            else if ((value = attrValue(v)) !== undefined) element.setAttributeNS(namespace, qualifiedName, value);
+        }
+    }
+
+    // properties
+    const props = Object.entries(builder.props);
+    if (props.length) fills.push((el, args) => {
+        for (let [k, v] of props) el[k] = v instanceof Hole? v.get(...args): v;
+    });
+
+    // shadow root
+    if (builder.shadowRoot) fills.push(el => {
+        const root = el.attachShadow({ mode: builder.shadowRoot.mode });
+        root.append(...buildChildren(builder.shadowRoot.children));
+        for (let style of builder.shadowRoot.styles) style.add(root);
+    });
+    if (fills.length) sites.push({ node: element, fill: (el: Element, args) => { for (let fill of fills) fill(el, args) } });
+
+    // children
+    for (let c of builder.children) {
+        if (c instanceof Builder) element.append(skeleton(c, sites));
+        else if (c instanceof Hole) {
+            const text = element.appendChild(document.createTextNode(''));
+            sites.push({ node: text, fill: (node: Text, args) => node.data = `${c.get(...args) ?? ''}` });
+        } 
+        else if (isMarkup(c)) element.append(createFragment(markup(c)));
+        else if (c instanceof Element) element.append(c.cloneNode(true));
+        else element.append(`${c}`);
+    }
+
+    // components
+    if (builder.components.length) sites.push({ node: element, fill: (el: Element) => {
+        for (let component of builder.components) addDisposer(el, component(el));
+    } });
+
+    return element;
+}
+
+function pathOf(node: Node, root: Node) {
+    const path: number[] = [];
+    while (node !== root) {
+        path.unshift(Array.prototype.indexOf.call(node.parentNode.childNodes, node));
+        node = node.parentNode;
+    }
+    return path;
+}
+
+function nodeAt(root: Node, path: number[]) {
+    for (let index of path) root = root.childNodes[index];
+    return root;
+}
+
+function buildChildren(children: IElementChild[]) {
+    return children.map(c => typeof c === 'number'? `${c}`: c instanceof Builder? c.build(): isMarkup(c)? createFragment(markup(c)): c as string | Element);
+}
+
+function renderChild(c: IElementChild, context: IRenderContext): string {
+    if (c instanceof Builder) return renderBuilder(c, context);
+    const pad = context.minify? '': new Array(context.indent).fill(' ').join('');
+    if (isMarkup(c)) return `${pad}${markup(c)}`;
+    else if (c instanceof Element) return `${pad}${c.outerHTML}`;
+    else if (context.namespace === undefined && rawTextElements.has(context.parent?.tag.toLowerCase())) {
+        return `${pad}${`${c}`.replace(/<\//g, '<\\/')}`;
+    } else return `${pad}${escString(`${c}`)}`;
+}
+
+async function* streamChild(c: IAsyncElementChild, context: IRenderContext): AsyncGenerator<string> {
+    if (c instanceof Promise) c = await c;
+    if (c === null || c === undefined) return;
+    if (c instanceof Builder) yield* streamBuilder(c, context);
+    else if (typeof c === 'object' && Reflect.has(c, Symbol.asyncIterator)) {
+        let i = 0;
+        for await (let item of c as AsyncIterable<IAsyncElementChild>) {
+            if (i++ && !context.minify) yield '\n';
+            yield* streamChild(item, context);
+        }
+    } else yield renderChild(c as IElementChild, context);
+}
+
+/**
+ * Wraps the output of {@link Builder#renderStream} (or any async iterable 
+ * of strings) in a web `ReadableStream` of UTF-8 encoded chunks. This can 
+ * be used directly as the body of a `Response`.
+ * 
+ * @example
+ * import { hh, readableStream } from 'deleight/dom/builder'
+ * const page = hh.html(hh.body(hh.h1('Hello'), fetchSection()));
+ * return new Response(readableStream(page), { headers: { 'Content-Type': 'text/html' } });
+ * 
+ * @param source 
+ * @param options 
+ * @returns 
+ */
+export function readableStream(source: IBuilder | AsyncIterable<string>, options: number | IRenderOptions = 0) {
+    const iterator = (source instanceof Builder? source.renderStream(options): source)[Symbol.asyncIterator]();
+    const encoder = new TextEncoder();
+    return new ReadableStream<Uint8Array>({
+        async pull(controller) {
+            const { value, done } = await iterator.next();
+            if (done) controller.close();
+            else controller.enqueue(encoder.encode(value));
+        },
+        async cancel(reason) {
+            await iterator.return?.(reason);
+        }
+    });
+}
+
+function hydrateBuilder(builder: IBuilder, element: Element, path: number[], mismatches: IHydrateMismatch[]): Element {
+    if (element.localName.toLowerCase() !== builder.tag.toLowerCase()) {
+        const built = builder.build();
+        mismatches.push({ type: 'tag', path, expected: builder.tag, actual: element.localName, node: element });
+        element.replaceWith(built);
+        return built;
+    }
+
+    // attributes
+    let value: string;
+    for (let [k, v] of Object.entries(builder.attrs)) {
+        value = attrValue(v);
+        if (value === undefined) {
+            if (element.hasAttribute(k)) {
+                mismatches.push({ type: 'attr', path, expected: value, actual: element.getAttribute(k), node: element });
+                element.removeAttribute(k);
+            }
+        } else if (element.getAttribute(k) !== value) {
+            mismatches.push({ type: 'attr', path, expected: value, actual: element.getAttribute(k), node: element });
+            element.setAttribute(k, value);
+        }
+    }
+    let localName: string, actual: string;
+    for (let [namespace, attrs] of Object.entries(builder.nsAttrs)) {
+        for (let [qualifiedName, v] of Object.entries(attrs)) {
+            value = attrValue(v);
+            localName = qualifiedName.slice(qualifiedName.indexOf(':') + 1);
+            actual = element.getAttributeNS(namespace, localName);
+            if (value === undefined) {
+                if (actual !== null) {
+                    mismatches.push({ type: 'attr', path, expected: value, actual, node: element });
+                    element.removeAttributeNS(namespace, localName);
+                }
+            } else if (actual !== value) {
+                mismatches.push({ type: 'attr', path, expected: value, actual, node: element });
+                element.setAttributeNS(namespace, qualifiedName, value);
+            }
+        }
+    }
+
+    // properties
+    Object.assign(element, builder.props);
+
+    // shadow root
+    if (builder.shadowRoot) {
+        const root = shadowRootOf(builder, element);
+
+        // the inlined styles are replaced by the adopted ones.
+        const inlined = Array.from(root.children).filter(c => c.localName === 'style');
+        for (let i = 0; i < builder.shadowRoot.styles.length && i < inlined.length; i++) inlined[i].remove();
+
+        hydrateChildren(builder.shadowRoot.children, root, path, mismatches);
+        for (let style of builder.shadowRoot.styles) style.add(root);
+    }
+
+    // children
+    hydrateChildren(builder.children, element, path, mismatches);
+
+    // components
+    for (let component of builder.components) addDisposer(element, component(element));
+
+    return element;
+}
+
+/**
+ * Returns the shadow root of the element, attaching it from a 
+ * declarative shadow root template first if it was not attached 
+ * during parsing (such as when the markup was set with `innerHTML`).
+ */
+function shadowRootOf(builder: IBuilder, element: Element) {
+    if (element.shadowRoot) return element.shadowRoot;
+    const root = element.attachShadow({ mode: builder.shadowRoot.mode });
+    const template = Array.from(element.children).find(c => c.localName === 'template' && c.hasAttribute('shadowrootmode'));
+    if (template) {
+        root.append((template as HTMLTemplateElement).content);
+        template.remove();
+    }
+    return root;
+}
+
+function hydrateChildren(children: IElementChild[], element: Element | ShadowRoot, path: number[], mismatches: IHydrateMismatch[]) {
+    const nodes = Array.from(element.childNodes).filter(isSignificant);
+    let index = 0, node: Node, child: IElementChild, texts: string[];
+
+    for (let i = 0; i < children.length; i++) {
+        child = children[i];
+        node = nodes[index];
+        if (child instanceof Builder) {
+            if (node instanceof Element) hydrateBuilder(child, node, [...path, i], mismatches);
+            else {
+                const built = child.build();
+                if (node) {
+                    mismatches.push({ type: 'tag', path: [...path, i], expected: child.tag, actual: node.nodeName, node });
+                    element.replaceChild(built, node);
+                } else {
+                    mismatches.push({ type: 'missing', path: [...path, i], expected: child.tag });
+                    element.append(built);
+                }
+            }
+            index++;
+        } else if (isMarkup(child)) {
+            // markup children are trusted and not compared.
+            index += Array.from(createFragment(markup(child)).childNodes).filter(isSignificant).length;
+        } else if (child instanceof Element) {
+            if (node) {
+                if (node !== child) {
+                    mismatches.push({ type: 'node', path: [...path, i], expected: child.localName, actual: node.nodeName, node });
+                    element.replaceChild(child, node);
+                }
+            } else {
+                mismatches.push({ type: 'missing', path: [...path, i], expected: child.localName });
+                element.append(child);
+            }
+            index++;
+        } else {
+            // consecutive text children are rendered into a single text node.
+            texts = [`${child}`];
+            while (i + 1 < children.length && isText(children[i + 1])) texts.push(`${children[++i]}`);
+            if (node instanceof Text) {
+                if (!textMatches(node.data, texts)) {
+                    mismatches.push({ type: 'text', path, expected: texts.join(''), actual: node.data, node });
+                    node.data = texts.join('');
+                }
+                index++;
+            } else {
+                mismatches.push({ type: 'missing', path, expected: texts.join('') });
+                element.insertBefore(document.createTextNode(texts.join('')), node || null);
+            }
+        }
+    }
+
+    for (; index < nodes.length; index++) {
+        mismatches.push({ type: 'extra', path, actual: nodes[index].nodeName, node: nodes[index] });
+        element.removeChild(nodes[index]);
+    }
+}
+
+/**
+ * Trims the text and collapses its whitespace runs (which may differ 
+ * between the rendered and the expected text).
+ */
+function normalizeText(text: string) {
+    return text.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Whether the text node data matches the consecutive text children. 
+ * They are rendered on separate lines unless minified.
+ */
+function textMatches(data: string, texts: string[]) {
+    const text = normalizeText(data);
+    return text === normalizeText(texts.join('')) || text === normalizeText(texts.join(' '));
+}
+
+function patchBuilder(builder: IBuilder, element: Element, options?: IPatchOptions): Element {
+    if (element.localName.toLowerCase() !== builder.tag.toLowerCase()) {
+        const built = builder.build();
+        element.replaceWith(built);
+        return built;
+    }
+    patchAttributes(builder, element);
+
+    // properties
+    for (let [k, v] of Object.entries(builder.props)) if (element[k] !== v) element[k] = v;
+
+    if (builder.shadowRoot) {
+        const root = element.shadowRoot || element.attachShadow({ mode: builder.shadowRoot.mode });
+        patchChildren(builder.shadowRoot.children, root, options);
+        for (let style of builder.shadowRoot.styles) style.add(root);
+    }
+    patchChildren(builder.children, element, options);
+    return element;
+}
+
+function patchAttributes(builder: IBuilder, element: Element) {
+    let value: string, localName: string;
+    const expected = new Set<string>();
+
+    for (let [k, v] of Object.entries(builder.attrs)) {
+        if ((value = attrValue(v)) === undefined) continue;
+        expected.add(`|${k}`);
+        if (element.getAttribute(k) !== value) element.setAttribute(k, value);
+    }
+    for (let [namespace, attrs] of Object.entries(builder.nsAttrs)) {
+        for (let [qualifiedName, v] of Object.entries(attrs)) {
+            if ((value = attrValue(v)) === undefined) continue;
+            localName = qualifiedName.slice(qualifiedName.indexOf(':') + 1);
+            expected.add(`${namespace}|${localName}`);
+            if (element.getAttributeNS(namespace, localName) !== value) element.setAttributeNS(namespace, qualifiedName, value);
+        }
+    }
+    for (let attr of Array.from(element.attributes)) {
+        if (!expected.has(`${attr.namespaceURI || ''}|${attr.namespaceURI? attr.localName: attr.name}`)) {
+            element.removeAttributeNode(attr);
+        }
+    }
+}
+
+function patchChildren(children: IElementChild[], element: Element | ShadowRoot, options?: IPatchOptions) {
+    const key = options?.key, keyed = new Map<string, Element>();
+    if (key) {
+        for (let child of Array.from(element.children)) {
+            if (child.hasAttribute(key)) keyed.set(child.getAttribute(key), child);
+        }
+    }
+
+    let ref = nextSignificant(element.firstChild), child: IElementChild, 
+    candidate: Node, result: Node, childKey: string, text: string;
+
+    const place = (node: Node) => {
+        if (node === ref) ref = nextSignificant(ref.nextSibling);
+        else element.insertBefore(node, ref);
+    }
+
+    for (let i = 0; i < children.length; i++) {
+        child = children[i];
+
+        // the live node at the current position is only a candidate if it is not 
+        // reserved for a (possibly) later keyed child.
+        candidate = (key && ref instanceof Element && ref.hasAttribute(key))? undefined: ref;
+
+        if (child instanceof Builder) {
+            childKey = key && child.attrs[key] !== undefined? `${child.attrs[key]}`: undefined;
+            if (childKey !== undefined && keyed.has(childKey)) {
+                candidate = keyed.get(childKey);
+                keyed.delete(childKey);
+            }
+            if (candidate instanceof Element && candidate.localName.toLowerCase() === child.tag.toLowerCase()) {
+                result = patchBuilder(child, candidate, options);
+            } else result = child.build();
+            place(result);
+        } else if (isMarkup(child)) {
+            for (let node of Array.from(createFragment(markup(child)).childNodes).filter(isSignificant)) {
+                candidate = (key && ref instanceof Element && ref.hasAttribute(key))? undefined: ref;
+                place(candidate && candidate.isEqualNode(node)? candidate: node);
+            }
+        } else if (child instanceof Element) {
+            place(child);
+        } else {
+            text = `${child}`;
+            while (i + 1 < children.length && isText(children[i + 1])) text += `${children[++i]}`;
+            if (candidate instanceof Text) {
+                if (candidate.data !== text) candidate.data = text;
+                result = candidate;
+            } else result = document.createTextNode(text);
+            place(result);
+        }
+    }
+
+    // remove the unused nodes
+    while (ref) {
+        result = ref.nextSibling;
+        element.removeChild(ref);
+        ref = result;
+    }
+}
+
+function nextSignificant(node: Node) {
+    while (node && !isSignificant(node)) node = node.nextSibling;
+    return node;
+}
+
+function isSignificant(node: Node) {
+    return node instanceof Element || (node instanceof Text && node.data.trim() !== '');
+}
+
+function isText(child: IElementChild) {
+    return typeof child === 'string' || typeof child === 'number';
+}
+
 export type IBuilderMethods = IMethods<IBuilder>
 
 export type IBuilders = {
@@ -1,10 +1,11 @@
 import { describe, it } from "node:test";
 import { strict as assert } from "node:assert";
-import { listener, setter, setters, attrSetter, 
-    attrsSetter, selectorSetter, addTo, attr, all, 
+import { listener, delegate, setter, setters, attrSetter, 
+    attrsSetter, selectorSetter, addTo, attr, all, model, 
     text} from "./components.js";
 import { JSDOM } from "jsdom";
-import { apply } from "../apply/apply.js";
+import { apply, applyAll } from "../apply/apply.js";
+import { dispose } from "../lifecycle/lifecycle.js";
 import { sets } from "../../object/member/shared/shared.js";
 
 const window = new JSDOM(`<!DOCTYPE html><body></body>`).window;
@@ -17,6 +18,12 @@ global.Element = window.Element;
 global.DocumentFragment = window.DocumentFragment;
 global.CSSRule = window.CSSRule;
 
+const input = (element, value) => {
+    if (value !== undefined) element.value = value;
+    element.dispatchEvent(new window.Event('input'));
+    element.dispatchEvent(new window.Event('change'));
+};
+
 describe("listener", () => {
     it("Should add event listeners", (t) => {
         body.innerHTML = `
@@ -38,6 +45,60 @@ describe("listener", () => {
         assert.deepEqual(btns, ['Btn1', 'Btn2'])
     });
 
+    it("Should return a disposer that removes the listeners", (t) => {
+        body.innerHTML = `<section><button>Btn1</button><button>Btn2</button></section>`;
+        const btns = [];
+        const disposer = listener('click')(e => btns.push(e.target.textContent))(body.querySelectorAll('button'));
+        for (let btn of body.querySelectorAll('button')) btn.click();
+        disposer();
+        for (let btn of body.querySelectorAll('button')) btn.click();
+        assert.deepEqual(btns, ['Btn1', 'Btn2']);
+    });
+
+});
+
+describe("delegate", () => {
+    it("Should handle events from matching descendants, including those added later", (t) => {
+        body.innerHTML = `<table><tbody><tr><td>Row 1</td><td><button><b>Delete</b></button></td></tr></tbody></table>`;
+        const rows = [];
+        apply({ tbody: delegate('click', 'button', (e, btn) => rows.push(btn.closest('tr').firstChild.textContent)) });
+
+        const tbody = body.querySelector('tbody');
+        tbody.insertAdjacentHTML('beforeend', '<tr><td>Row 2</td><td><button>Delete</button></td></tr>');
+        for (let b of body.querySelectorAll('b, button')) b.click();
+        tbody.querySelector('td').click();
+        assert.deepEqual(rows, ['Row 1', 'Row 1', 'Row 2']);
+    });
+
+    it("Should match targets within open shadow roots", (t) => {
+        body.innerHTML = `<section><div></div></section>`;
+        const host = body.querySelector('div');
+        host.attachShadow({ mode: 'open' }).innerHTML = '<button class="inner">Inner</button>';
+        const matched = [];
+        delegate('click', 'button', (e, btn) => matched.push(btn.className))(body.querySelector('section'));
+        host.shadowRoot.querySelector('button').click();
+        assert.deepEqual(matched, ['inner']);
+    });
+
+    it("Should not match the container or elements outside it", (t) => {
+        body.innerHTML = `<button><span>Container</span></button>`;
+        const matched = [];
+        const container = body.querySelector('span');
+        const disposer = delegate('click', 'button, span', (e, el) => matched.push(el))(container);
+        container.click();
+        assert.deepEqual(matched, []);
+        disposer();
+    });
+
+    it("Should be removed by its disposer", (t) => {
+        body.innerHTML = `<section><button>Btn</button></section>`;
+        const btns = [];
+        apply({ section: delegate('click', 'button', (e, btn) => btns.push(btn.textContent)) });
+        body.querySelector('button').click();
+        dispose(body);
+        body.querySelector('button').click();
+        assert.deepEqual(btns, ['Btn']);
+    });
 });
 
 describe("setter", () => {
@@ -57,6 +118,16 @@ describe("setter", () => {
         assert.deepEqual(btns, [20, 33]);
     });
 
+    it("Should restore the previous values when disposed", (t) => {
+        body.innerHTML = `<button>Btn1</button><button>Btn2</button>`;
+        const btns = Array.from(body.querySelectorAll('button'));
+        btns[0].propKey = 1;
+        const disposer = setter('propKey')(20)(btns);
+        assert.deepEqual(btns.map(b => b.propKey), [20, 20]);
+        disposer();
+        assert.deepEqual(btns.map(b => b.propKey), [1, undefined]);
+    });
+
 });
 
 describe("setters", () => {
@@ -77,6 +148,17 @@ describe("setters", () => {
         for (let btn of body.querySelectorAll('button')) btns.push([btn.a, btn.b]);
         assert.deepEqual(btns, [[1, 2], [5, 6]]);
     });
+
+    it("Should restore the previous (nested) values when disposed", (t) => {
+        body.innerHTML = `<button style="color: red;">Btn1</button>`;
+        const btn = body.querySelector('button');
+        const disposer = setters({ a: 1, style: { color: 'blue' } })(btn);
+        assert.equal(btn.a, 1);
+        assert.equal(btn.style.color, 'blue');
+        disposer();
+        assert.equal(btn.a, undefined);
+        assert.equal(btn.style.color, 'red');
+    });
 });
 
 
@@ -97,6 +179,15 @@ describe("attrSetter", () => {
         assert.deepEqual(btns, ['20', '33']);
     });
 
+    it("Should restore the previous attributes when disposed", (t) => {
+        body.innerHTML = `<button attr="1">Btn1</button><button>Btn2</button>`;
+        apply({ button: attrSetter('attr')(20) });
+        apply({ 1: attrSetter('attr')(33) });
+        dispose(body);
+        const btns = Array.from(body.querySelectorAll('button'));
+        assert.deepEqual(btns.map(b => b.getAttribute('attr')), ['1', null]);
+    });
+
 });
 
 describe("attrsSetter", () => {
@@ -117,6 +208,14 @@ describe("attrsSetter", () => {
         for (let btn of body.querySelectorAll('button')) btns.push([btn.getAttribute('a'), btn.getAttribute('b')]);
         assert.deepEqual(btns, [['1', '2'], ['5', '6']]);
     });
+
+    it("Should restore the previous attributes when disposed", (t) => {
+        body.innerHTML = `<button a="0">Btn1</button>`;
+        const btn = body.querySelector('button');
+        attrsSetter({ a: '1', b: '2' })(btn)();
+        assert.equal(btn.getAttribute('a'), '0');
+        assert.equal(btn.hasAttribute('b'), false);
+    });
 });
 
 describe("selectorSetter", () => {
@@ -135,6 +234,15 @@ describe("selectorSetter", () => {
         assert.equal(body.b2.textContent, 'Btn2');
     });
 
+    it("Should restore the previous members when disposed", (t) => {
+        body.innerHTML = `<button m-ember="b3">Btn3</button>`;
+        body.b3 = 'old';
+        const disposer = selectorSetter()(body);
+        assert.equal(body.b3.textContent, 'Btn3');
+        disposer();
+        assert.equal(body.b3, 'old');
+    });
+
 });
 
 describe("as", () => {
@@ -158,6 +266,15 @@ describe("as", () => {
         assert.equal(arr[0].textContent, 'Btn1');
         assert.equal(arr[1].textContent, 'Btn2');
     });
+
+    it("Should remove the added values when disposed", (t) => {
+        body.innerHTML = `<section><button>Btn1</button></section><article><button>Btn2</button></article>`;
+        const obj = { [text]: ['other'] };
+        apply({ section: { button: addTo(obj, text) }, article: { button: addTo(obj, text) } });
+        assert.equal(obj[text].length, 3);
+        dispose(body.querySelector('section'));
+        assert.deepEqual(obj[text].map(v => v.textContent || v), ['other', 'Btn2']);
+    });
 });
 
 describe("attr", () => {
@@ -223,4 +340,146 @@ describe("all", () => {
         assert.deepEqual(btns, [[2, 3], [62, 53]]);
     });
 
-});
\ No newline at end of file
+    it("Should return a disposer for all the components", (t) => {
+        body.innerHTML = `<button>Btn1</button>`;
+        const btn = body.querySelector('button'), clicks = [];
+        const disposer = all(setter('a')(2), attrSetter('b')(3), listener('click')(() => clicks.push(1)))(btn);
+        disposer();
+        btn.click();
+        assert.equal(btn.a, undefined);
+        assert.equal(btn.hasAttribute('b'), false);
+        assert.deepEqual(clicks, []);
+    });
+
+});
+
+describe("model", () => {
+    it("Should bind text inputs both ways", async (t) => {
+        body.innerHTML = `<input name="name"><textarea></textarea>`;
+        const data = { name: 'Ama' }, store = { name: [data] };
+        apply({ input: model(data, 'name', { store }), textarea: model(data, 'name', { store }) });
+        const [el, area] = [body.querySelector('input'), body.querySelector('textarea')];
+        assert.equal(el.value, 'Ama');
+        assert.equal(area.value, 'Ama');
+        input(el, 'Kofi');
+        assert.equal(data.name, 'Kofi');
+        await sets(store, 'Yaw');
+        assert.equal(data.name, 'Yaw');
+        assert.equal(el.value, 'Yaw');
+        assert.equal(area.value, 'Yaw');
+    });
+
+    it("Should only write back to the control through the store", async (t) => {
+        body.innerHTML = `<input id="plain"><input id="proxied">`;
+        const plain = { name: 'Ama' };
+        const store = { name: [{ name: 'Ama' }] };
+        const proxied = new Proxy(store.name[0], {
+            set: (target, key, value) => (sets({ [key]: store[key] }, value), true)
+        });
+        apply({ '#plain': model(plain, 'name'), '#proxied': model(proxied, 'name', { store }) });
+        const [plainEl, proxiedEl] = body.querySelectorAll('input');
+        plain.name = 'Yaw';
+        proxied.name = 'Yaw';
+        await new Promise(r => setTimeout(r));
+        assert.equal(plainEl.value, 'Ama');
+        assert.equal(proxiedEl.value, 'Yaw');
+        assert.equal(store.name[0].name, 'Yaw');
+        input(proxiedEl, 'Kofi');
+        await new Promise(r => setTimeout(r));
+        assert.equal(proxied.name, 'Kofi');
+        assert.equal(proxiedEl.value, 'Kofi');
+    });
+
+    it("Should initialize the object from the control when the property is undefined", (t) => {
+        body.innerHTML = `<input value="initial">`;
+        const data = {};
+        apply({ input: model(data, 'name') });
+        assert.equal(data.name, 'initial');
+    });
+
+    it("Should coerce number and date inputs", (t) => {
+        body.innerHTML = `<input type="number"><input type="date">`;
+        const data = { age: 20, born: new Date(Date.UTC(2000, 0, 2)) };
+        apply({ '[type=number]': model(data, 'age'), '[type=date]': model(data, 'born') });
+        const [age, born] = body.querySelectorAll('input');
+        assert.equal(age.value, '20');
+        assert.equal(born.value, '2000-01-02');
+        input(age, '21');
+        input(born, '2001-02-03');
+        assert.equal(data.age, 21);
+        assert.equal(data.born.getTime(), Date.UTC(2001, 1, 3));
+        input(age, '');
+        assert.equal(data.age, null);
+    });
+
+    it("Should bind checkboxes as booleans or array membership", (t) => {
+        body.innerHTML = `<input id="agree" type="checkbox">
+        <input class="tag" type="checkbox" value="a"><input class="tag" type="checkbox" value="b">`;
+        const data = { agree: true, tags: ['b'] };
+        apply({ '#agree': model(data, 'agree') });
+        applyAll({ '.tag': model(data, 'tags') });
+        const [agree, a, b] = body.querySelectorAll('input');
+        assert.deepEqual([agree.checked, a.checked, b.checked], [true, false, true]);
+        agree.click();
+        a.click();
+        b.click();
+        assert.equal(data.agree, false);
+        assert.deepEqual(data.tags, ['a']);
+    });
+
+    it("Should bind radio groups", async (t) => {
+        body.innerHTML = `<input type="radio" name="size" value="s"><input type="radio" name="size" value="m">`;
+        const data = { size: 'm' }, store = { size: [data] };
+        applyAll({ '[name=size]': model(data, 'size', { store }) });
+        const [s, m] = body.querySelectorAll('input');
+        assert.deepEqual([s.checked, m.checked], [false, true]);
+        s.click();
+        assert.equal(data.size, 's');
+        await sets(store, 'm');
+        assert.deepEqual([s.checked, m.checked], [false, true]);
+    });
+
+    it("Should bind multiple selects and contenteditable elements", (t) => {
+        body.innerHTML = `<select multiple><option>a</option><option>b</option><option>c</option></select>
+        <div contenteditable="true"></div>`;
+        const data = { letters: ['a', 'c'], note: 'Hi' };
+        apply({ select: model(data, 'letters'), div: model(data, 'note') });
+        const [select, div] = [body.querySelector('select'), body.querySelector('div')];
+        assert.deepEqual(Array.from(select.selectedOptions, o => o.value), ['a', 'c']);
+        assert.equal(div.textContent, 'Hi');
+        select.options[0].selected = false;
+        input(select);
+        div.textContent = 'Hello';
+        input(div);
+        assert.deepEqual(data.letters, ['c']);
+        assert.equal(data.note, 'Hello');
+    });
+
+    it("Should support the lazy and debounce options", async (t) => {
+        body.innerHTML = `<input id="lazy"><input id="slow">`;
+        const data = { lazy: '', slow: '' };
+        apply({ '#lazy': model(data, 'lazy', { lazy: true }), '#slow': model(data, 'slow', { debounce: 10 }) });
+        const [lazy, slow] = body.querySelectorAll('input');
+        lazy.value = 'typed';
+        lazy.dispatchEvent(new window.Event('input'));
+        assert.equal(data.lazy, '');
+        lazy.dispatchEvent(new window.Event('change'));
+        assert.equal(data.lazy, 'typed');
+        input(slow, 'a');
+        input(slow, 'ab');
+        assert.equal(data.slow, '');
+        await new Promise(r => setTimeout(r, 20));
+        assert.equal(data.slow, 'ab');
+    });
+
+    it("Should stop syncing when disposed", async (t) => {
+        body.innerHTML = `<input>`;
+        const data = { name: 'a' }, store = { name: [data] };
+        const el = body.querySelector('input');
+        const disposer = model(data, 'name', { store })(el);
+        disposer();
+        input(el, 'b');
+        assert.equal(data.name, 'a');
+        assert.deepEqual(store.name, [data]);
+    });
+});
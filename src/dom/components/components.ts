@@ -16,26 +16,40 @@
  * 8. {@link attrSetter} an {@link apply} component (function) used to declaratively 
  * set the values of element attributes within a tree.
  * 
- * 9. Many more including {@link addTo}, {@link attr}, {@link prop} and 
+ * 9. {@link delegate} an {@link apply} component (function) used to attach a single 
+ * listener to a container which handles events from matching descendants.
+ * 
+ * 10. {@link model} an {@link apply} component (function) used to keep object 
+ * properties and form controls in sync (two-way binding).
+ * 
+ * 11. Many more including {@link addTo}, {@link attr}, {@link prop} and 
  * {@link selectorSetter}...
  * 
  * The functions are used to build components which can be used with {@link apply}, 
  * {@link process} or {@link Dom}.
  * 
+ * Every component here returns a disposer (a function) which undoes what 
+ * the component did. {@link apply} and {@link process} register the returned 
+ * disposers with `addDisposer` so they run when the tree is disposed.
+ * 
  * Pending tests. Please report bugs.
  * 
  * @module
  */
 
+import { ownKeys } from "../../object/member/own/own.js";
+import { IMembers } from "../../object/member/shared/shared.js";
 import { assign } from "../../object/operations/operations.js";
 import { IKey } from "../../types.js";
+import { IDisposer } from "../lifecycle/lifecycle.js";
 
 export interface IComponent {
     (elements: Element | Iterable<Element>, matcher?: IKey | Attr, ...args: any[]): any
 }
 
 /**
- * Creates a function to be called with listener functions to return `apply
+ * Creates a function to be called with listener functions to return `apply` 
+ * components. The components return disposers which remove the listeners.
  * 
  * @example
  * import { listener } from 'deleight/dom/components'
@@ -61,9 +75,68 @@ export interface IComponent {
  * @returns 
  */
 export function listener(event: keyof HTMLElementEventMap, options?: AddEventListenerOptions) {
-    return (listener: EventListener) => (elements: Element | Iterable<Element>) => {
-        if (elements instanceof Element) elements = [elements];
-        for (let element of elements) element.addEventListener(event, listener, options);
+    return (listener: EventListener) => (elements: Element | Iterable<Element>): IDisposer => {
+        const targets = toArray(elements);
+        for (let element of targets) element.addEventListener(event, listener, options);
+        return () => {
+            for (let element of targets) element.removeEventListener(event, listener, options);
+        }
+    }
+}
+
+/**
+ * A function called by a {@link delegate} component with the event and 
+ * the descendant matching the delegate's selector.
+ */
+export interface IDelegateHandler {
+    (event: Event, target: Element): any
+}
+
+/**
+ * Returns a component which adds a single listener to each matched 
+ * (container) element. The handler is called with the event and the 
+ * closest element (in the event's composed path) within the container 
+ * that matches the selector. The composed path is used so that targets 
+ * within open shadow roots are also matched.
+ * 
+ * Because only the container is listened to, descendants added after 
+ * the component was applied are also handled.
+ * 
+ * The component returns a disposer which removes the listener(s).
+ * 
+ * @example
+ * import { delegate } from 'deleight/dom/components'
+ * import { apply } from 'deleight/dom/apply'
+ * 
+ * document.body.innerHTML = `
+ * <table><tbody>
+ *     <tr><td>Row 1</td><td><button>Delete</button></td></tr>
+ * </tbody></table>
+ * `;
+ * 
+ * apply({ tbody: delegate('click', 'button', (e, btn) => btn.closest('tr').remove()) });
+ * document.querySelector('tbody').insertAdjacentHTML('beforeend', 
+ *     '<tr><td>Row 2</td><td><button>Delete</button></td></tr>');  // also handled
+ * 
+ * @param event 
+ * @param selector 
+ * @param handler 
+ * @param options 
+ * @returns 
+ */
+export function delegate(event: keyof HTMLElementEventMap, selector: string, handler: IDelegateHandler, options?: AddEventListenerOptions) {
+    const listener = (e: Event) => {
+        for (let target of e.composedPath()) {
+            if (target === e.currentTarget) break;
+            if (target instanceof Element && target.matches(selector)) return handler(e, target);
+        }
+    }
+    return (elements: Element | Iterable<Element>): IDisposer => {
+        const targets = toArray(elements);
+        for (let element of targets) element.addEventListener(event, listener, options);
+        return () => {
+            for (let element of targets) element.removeEventListener(event, listener, options);
+        }
     }
 }
 
@@ -88,9 +161,11 @@ export function listener(event: keyof HTMLElementEventMap, options?: AddEventLis
  * @returns 
  */
 export function setter(key: IKey) {
-    return (value: any) => (elements: Element | Iterable<Element>) => {
-        if (elements instanceof Element) elements = [elements];
-        for (let element of elements) element[key] = value;
+    return (value: any) => (elements: Element | Iterable<Element>): IDisposer => {
+        const targets = toArray(elements);
+        const oldValues = targets.map(element => element[key]);
+        for (let element of targets) element[key] = value;
+        return () => targets.forEach((element, i) => element[key] = oldValues[i]);
     }
 }
 
@@ -120,10 +195,28 @@ export function setter(key: IKey) {
  * @returns 
  */
 export function setters(value: object) {
-    return (elements: Element | Iterable<Element>) => {
-        if (elements instanceof Element) elements = [elements];
-        for (let element of elements) assign(element, [value]);
+    return (elements: Element | Iterable<Element>): IDisposer => {
+        const targets = toArray(elements);
+        const oldValues = targets.map(element => previous(element, value));
+        for (let element of targets) assign(element, [value]);
+        return () => targets.forEach((element, i) => assign(element, [oldValues[i]]));
+    }
+}
+
+/**
+ * Returns an object with the same (nested) keys as `source` containing 
+ * the values currently at those keys in `target`.
+ */
+function previous(target: any, source: object) {
+    const result = {};
+    let value: any, oldValue: any;
+    for (let key of ownKeys(source)) {
+        value = source[key];
+        if (typeof value === 'object' && typeof (oldValue = target[key]) === 'object') {
+            result[key] = previous(oldValue, value);
+        } else result[key] = target[key];
     }
+    return result;
 }
 
 /**
@@ -154,12 +247,19 @@ export const assigner = setters;
  * @returns 
  */
 export function attrSetter(name: string) {
-    return (value: any) => (elements: Element | Iterable<Element>) => {
-        if (elements instanceof Element) elements = [elements];
-        for (let element of elements) element.setAttribute(name, value);
+    return (value: any) => (elements: Element | Iterable<Element>): IDisposer => {
+        const targets = toArray(elements);
+        const oldValues = targets.map(element => element.getAttribute(name));
+        for (let element of targets) element.setAttribute(name, value);
+        return () => targets.forEach((element, i) => restoreAttr(element, name, oldValues[i]));
     }
 }
 
+function restoreAttr(element: Element, name: string, value: string | null) {
+    if (value === null) element.removeAttribute(name);
+    else element.setAttribute(name, value);
+}
+
 /**
  * Returns a component for setting multiple element attributes.
  * 
@@ -185,9 +285,13 @@ export function attrSetter(name: string) {
  * @returns 
  */
 export function attrsSetter<T extends object>(values: T) {
-    return (elements: Element | Iterable<Element>) => {
-        if (elements instanceof Element) elements = [elements];
-        for (let element of elements) for (let [k, v] of Object.entries(values)) element.setAttribute(k, v);
+    return (elements: Element | Iterable<Element>): IDisposer => {
+        const targets = toArray(elements), names = Object.keys(values);
+        const oldValues = targets.map(element => names.map(name => element.getAttribute(name)));
+        for (let element of targets) for (let [k, v] of Object.entries(values)) element.setAttribute(k, v);
+        return () => targets.forEach((element, i) => {
+            names.forEach((name, j) => restoreAttr(element, name, oldValues[i][j]));
+        });
     }
 }
 
@@ -216,8 +320,11 @@ export function attrsSetter<T extends object>(values: T) {
  * @returns 
  */
 export function selectorSetter(selectorAttr = 'm-ember') {
-    return (element: Element) => {
+    return (element: Element): IDisposer => {
+        const keys = Array.from(element.querySelectorAll(`*[${selectorAttr}]`), item => item.getAttribute(selectorAttr));
+        const oldValues = keys.map(key => element[key]);
         selectMembers(element, selectorAttr);
+        return () => keys.forEach((key, i) => element[key] = oldValues[i]);
     }
 }
 
@@ -289,15 +396,20 @@ export function selectMembers<T extends object>(element?: Element, selectorAttr
  */
 export function addTo<T extends object, U = any>(object: T, key: IKey, wrapper?: IKey | ((element: Element, matcher?: IKey | Attr, ...args: any[]) => U)) {
     if (!key) key = 'textContent';
-    return (elements: Element | Iterable<Element>) => {
-        if (elements instanceof Element) elements = [elements];
+    return (elements: Element | Iterable<Element>): IDisposer => {
+        let values: any[] = toArray(elements);
         if (wrapper && !(wrapper instanceof Function)) {
             const key = wrapper;
             wrapper = (el) => el[key];
         }
-        if (wrapper) elements = Array.prototype.map.call(elements, wrapper) as any[];
+        if (wrapper) values = values.map(wrapper as any);
         if (!Reflect.has(object, key)) object[key] = [];
-        object[key].push(...elements);
+        const array: any[] = object[key];
+        array.push(...values);
+        return () => {
+            let index: number;
+            for (let value of values) if ((index = array.indexOf(value)) >= 0) array.splice(index, 1);
+        }
     }
 }
 
@@ -306,6 +418,185 @@ export function addTo<T extends object, U = any>(object: T, key: IKey, wrapper?:
  */
 export const bind = addTo;
 
+/**
+ * Optional arguments to {@link model}.
+ */
+export interface IModelOptions {
+    /**
+     * Update the object on `change` (or `blur` for contenteditable 
+     * elements) instead of on `input`.
+     */
+    lazy?: boolean;
+    /**
+     * Milliseconds to wait after the last control change before 
+     * updating the object.
+     */
+    debounce?: number;
+    /**
+     * An object used with `sets` (from 'deleight/object/shared'). A function 
+     * which updates the control(s) is added to its array for the key so 
+     * that `sets(store, value)` writes the new value back to the control(s).
+     * Add the bound object to the same array to update it at the same time.
+     */
+    store?: IMembers;
+}
+
+/**
+ * Returns a component which binds the value of the matched form control(s) 
+ * to `object[key]` (two-way). Whenever the control changes, the object 
+ * property is set (which will trigger any `set` trap if the object is a proxy). 
+ * If a store is given (in the options), `sets(store, value)` will update 
+ * the control(s).
+ * 
+ * Assignments made directly to the object (even through a proxy) are not 
+ * observed, so the store is the only way back to the control. To have 
+ * a proxy update the control, put the proxied object in the store array 
+ * and call `sets` from the `set` trap (see the second example).
+ * 
+ * When the component is applied, the control is set from the object 
+ * property or, if the property is `undefined`, the property is set from 
+ * the control. Values are read and written as follows:
+ * 
+ * 1. number and range inputs use numbers (`null` when empty).
+ * 
+ * 2. date and datetime-local inputs use `Date` objects (`null` when empty).
+ * 
+ * 3. checkboxes use booleans or, if the property is an array, the 
+ * presence of the checkbox's value in the array.
+ * 
+ * 4. radio buttons use the value of the checked radio in the group.
+ * 
+ * 5. `<select multiple>` elements use arrays of the selected values.
+ * 
+ * 6. contenteditable elements use their text content.
+ * 
+ * 7. other controls use their value.
+ * 
+ * The component returns a disposer which removes the listeners (and 
+ * the store updater).
+ * 
+ * @example
+ * import { model } from 'deleight/dom/components'
+ * import { apply, applyAll } from 'deleight/dom/apply'
+ * import { sets } from 'deleight/object/shared'
+ * 
+ * document.body.innerHTML = `
+ * <input name="name">
+ * <input name="age" type="number">
+ * <label><input name="tags" type="checkbox" value="a"> A</label>
+ * <label><input name="tags" type="checkbox" value="b"> B</label>
+ * `;
+ * 
+ * const data = { name: 'Ama', age: 20, tags: ['b'] };
+ * const store = { age: [data] };
+ * apply({ 
+ *     '[name=name]': model(data, 'name', { debounce: 200 }), 
+ *     '[name=age]': model(data, 'age', { store, lazy: true }) 
+ * });
+ * applyAll({ '[name=tags]': model(data, 'tags') });
+ * 
+ * sets(store, 21);    // data.age === 21 and the input shows 21
+ * 
+ * @example
+ * import { model } from 'deleight/dom/components'
+ * import { apply } from 'deleight/dom/apply'
+ * import { sets } from 'deleight/object/shared'
+ * 
+ * document.body.innerHTML = `<input name="name">`;
+ * const store = { name: [{ name: 'Ama' }] };
+ * const data = new Proxy(store.name[0], {
+ *     set: (target, key, value) => (sets({ [key]: store[key] }, value), true)
+ * });
+ * apply({ '[name=name]': model(data, 'name', { store }) });
+ * 
+ * data.name = 'Yaw';    // the input shows 'Yaw' once `sets` completes
+ * 
+ * @param object 
+ * @param key 
+ * @param options 
+ * @returns 
+ */
+export function model<T extends object>(object: T, key: IKey, options?: IModelOptions) {
+    return (elements: Element | Iterable<Element>): IDisposer => {
+        const targets = toArray(elements), timers = new Map<Element, any>();
+        const update = (element: Element) => object[key] = readControl(element, object[key]);
+        const listener = (e: Event) => {
+            const element = e.currentTarget as Element;
+            if (isRadio(element) && !element.checked) return;
+            if (options?.debounce) {
+                clearTimeout(timers.get(element));
+                timers.set(element, setTimeout(() => update(element), options.debounce));
+            } else update(element);
+        }
+        const updater = (k: IKey, value: any) => {
+            for (let element of targets) writeControl(element, value);
+        }
+
+        for (let element of targets) {
+            if (object[key] !== undefined) writeControl(element, object[key]);
+            else if (!isRadio(element) || element.checked) update(element);
+            element.addEventListener(controlEvent(element, options?.lazy), listener);
+        }
+        if (options?.store) {
+            if (!Reflect.has(options.store, key)) options.store[key] = [];
+            (options.store[key] as any[]).push(updater);
+        }
+        return () => {
+            for (let element of targets) element.removeEventListener(controlEvent(element, options?.lazy), listener);
+            for (let timer of timers.values()) clearTimeout(timer);
+            if (options?.store) {
+                const updaters = options.store[key] as any[], index = updaters.indexOf(updater);
+                if (index >= 0) updaters.splice(index, 1);
+            }
+        }
+    }
+}
+
+const dateTypes = ['date', 'datetime-local'], numberTypes = ['number', 'range'];
+
+function isRadio(element: Element): element is HTMLInputElement {
+    return element.tagName === 'INPUT' && (element as HTMLInputElement).type === 'radio';
+}
+
+function controlEvent(element: Element, lazy?: boolean) {
+    const tag = element.tagName, type = (element as HTMLInputElement).type;
+    if (tag === 'SELECT' || type === 'checkbox' || type === 'radio') return 'change';
+    if (tag !== 'INPUT' && tag !== 'TEXTAREA') return lazy? 'blur': 'input';    // contenteditable
+    return lazy? 'change': 'input';
+}
+
+function readControl(element: Element, oldValue: any) {
+    const control = element as HTMLInputElement, tag = element.tagName;
+    if (tag === 'SELECT') {
+        const select = element as HTMLSelectElement;
+        return select.multiple? Array.from(select.selectedOptions, option => option.value): select.value;
+    } else if (tag !== 'INPUT' && tag !== 'TEXTAREA') return element.textContent;
+    else if (control.type === 'checkbox') {
+        if (!(oldValue instanceof Array)) return control.checked;
+        const others = oldValue.filter(value => value !== control.value);
+        return control.checked? [...others, control.value]: others;
+    } else if (control.value === '' && (numberTypes.includes(control.type) || dateTypes.includes(control.type))) return null;
+    else if (numberTypes.includes(control.type)) return Number(control.value);
+    else if (dateTypes.includes(control.type)) return new Date(control.valueAsNumber);
+    else return control.value;
+}
+
+function writeControl(element: Element, value: any) {
+    const control = element as HTMLInputElement, tag = element.tagName;
+    if (tag === 'SELECT' && (element as HTMLSelectElement).multiple) {
+        const values = (value instanceof Array)? value.map(v => `${v}`): [];
+        for (let option of (element as HTMLSelectElement).options) option.selected = values.includes(option.value);
+    } else if (tag !== 'INPUT' && tag !== 'SELECT' && tag !== 'TEXTAREA') {
+        if (element.textContent !== `${value ?? ''}`) element.textContent = `${value ?? ''}`;
+    } else if (control.type === 'checkbox') {
+        control.checked = (value instanceof Array)? value.includes(control.value): !!value;
+    } else if (control.type === 'radio') {
+        control.checked = control.value === `${value}`;
+    } else if (value instanceof Date && dateTypes.includes(control.type)) {
+        control.valueAsNumber = value.getTime();
+    } else if (control.value !== `${value ?? ''}`) control.value = `${value ?? ''}`;
+}
+
 const attrHandler = {
     set(target: Element, key: IKey, value: any) {
         if (typeof key === 'string') target.setAttribute(key, value);
@@ -373,12 +664,21 @@ export function attr(element: Element) {
  * @returns 
  */
 export function all(...components: IComponent[]) {
-    return (elements: Element | Iterable<Element>, matcher?: IKey | Attr, ...args: any[]) => {
-        if (elements instanceof Element) elements = [elements];
-        for (let element of elements) for (let comp of components) comp(element, matcher, ...args);
+    return (elements: Element | Iterable<Element>, matcher?: IKey | Attr, ...args: any[]): IDisposer => {
+        const disposers: any[] = [];
+        for (let element of toArray(elements)) {
+            for (let comp of components) disposers.push(comp(element, matcher, ...args));
+        }
+        return () => {
+            for (let disposer of disposers.splice(0).reverse()) if (disposer instanceof Function) disposer();
+        }
     }
 }
 
+function toArray(elements: Element | Iterable<Element>) {
+    return (elements instanceof Element)? [elements]: Array.from(elements);
+}
+
 /**
  * Just an alias for the longish 'textContent' string.
  * 
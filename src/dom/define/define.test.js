@@ -0,0 +1,133 @@
+import { describe, it } from "node:test";
+import { strict as assert } from "node:assert";
+import { defineElement } from "./define.js";
+import { hh } from "../builder/builder.js";
+import { StyleSheet } from "../../css/css.js";
+import { addDisposer } from "../lifecycle/lifecycle.js";
+import { attrSetter } from "../components/components.js";
+import { JSDOM } from "jsdom";
+
+const window = new JSDOM(`<!DOCTYPE html><body></body>`).window;
+const document = window.document;
+const body = document.body;
+
+global.document = document;
+global.HTMLElement = window.HTMLElement;
+global.customElements = window.customElements;
+global.Element = window.Element;
+global.Text = window.Text;
+global.DocumentFragment = window.DocumentFragment;
+global.ShadowRoot = window.ShadowRoot;
+global.Document = window.Document;
+global.MutationObserver = window.MutationObserver;
+
+describe("defineElement", () => {
+    it("Should render the builders into the shadow root when connected", (t) => {
+        const Defined = defineElement('x-greeting', {
+            render: () => [hh.h1('Hello'), hh.p('World')]
+        });
+        assert.equal(window.customElements.get('x-greeting'), Defined);
+        const el = document.createElement('x-greeting');
+        assert.equal(el.shadowRoot, null);
+        body.append(el);
+        assert.equal(el.shadowRoot.innerHTML, '<h1>Hello</h1><p>World</p>');
+        el.remove();
+    });
+
+    it("Should reflect props to attributes and re-render with patch", (t) => {
+        defineElement('x-counter', {
+            props: { count: 0, itemLabel: 'Clicks', active: false },
+            render: (el) => hh.button(`${el.itemLabel}: ${el.count}`).set({ class: el.active? 'on': 'off' })
+        });
+        const el = document.createElement('x-counter');
+        body.append(el);
+        const button = el.shadowRoot.firstElementChild;
+        assert.equal(button.outerHTML, '<button class="off">Clicks: 0</button>');
+
+        el.count = 2;
+        assert.equal(el.getAttribute('count'), '2');
+        el.active = true;
+        assert.equal(el.getAttribute('active'), '');
+        assert.equal(el.shadowRoot.firstElementChild, button);
+        assert.equal(button.outerHTML, '<button class="on">Clicks: 2</button>');
+
+        el.setAttribute('item-label', 'Taps');
+        el.setAttribute('count', '5');
+        el.removeAttribute('active');
+        assert.equal(el.count, 5);
+        assert.equal(el.itemLabel, 'Taps');
+        assert.equal(el.active, false);
+        assert.equal(el.shadowRoot.firstElementChild, button);
+        assert.equal(button.outerHTML, '<button class="off">Taps: 5</button>');
+        el.remove();
+    });
+
+    it("Should read the initial props from attributes", (t) => {
+        defineElement('x-title', {
+            props: { text: 'Untitled' },
+            attributes: ['data-level'],
+            render: (el) => hh.h2(`${el.text} (${el.getAttribute('data-level')})`)
+        });
+        body.innerHTML = '<x-title text="Deleight" data-level="1"></x-title>';
+        const el = body.firstElementChild;
+        assert.equal(el.text, 'Deleight');
+        assert.equal(el.shadowRoot.innerHTML, '<h2>Deleight (1)</h2>');
+        el.setAttribute('data-level', '2');
+        assert.equal(el.shadowRoot.innerHTML, '<h2>Deleight (2)</h2>');
+        body.innerHTML = '';
+    });
+
+    it("Should adopt the styles in the shadow root", (t) => {
+        const style = new StyleSheet({ cssRules: [] });
+        defineElement('x-styled', { styles: [style], render: () => hh.p('styled') });
+        const el = body.appendChild(document.createElement('x-styled'));
+        assert.ok(el.shadowRoot.adoptedStyleSheets.includes(style.css));
+        el.remove();
+    });
+
+    it("Should apply the components and dispose them when disconnected", (t) => {
+        const calls = [];
+        defineElement('x-disposed', {
+            render: () => hh.button('Go'),
+            components: { button: (button) => { calls.push('applied'); addDisposer(button, () => calls.push('disposed')) } }
+        });
+        const el = body.appendChild(document.createElement('x-disposed'));
+        assert.deepEqual(calls, ['applied']);
+        el.remove();
+        assert.deepEqual(calls, ['applied', 'disposed']);
+        assert.equal(el.shadowRoot.innerHTML, '');
+        body.append(el);
+        assert.equal(el.shadowRoot.innerHTML, '<button>Go</button>');
+        assert.deepEqual(calls, ['applied', 'disposed', 'applied']);
+        el.remove();
+    });
+
+    it("Should apply the components again after patching", (t) => {
+        defineElement('x-noted', {
+            props: { count: 1 },
+            render: (el) => (el.count > 2)? [hh.i('new'), hh.p(`${el.count}`)]: [hh.p(`${el.count}`)],
+            components: { p: attrSetter('role')('note') }
+        });
+        const el = body.appendChild(document.createElement('x-noted'));
+        assert.equal(el.shadowRoot.innerHTML, '<p role="note">1</p>');
+        el.count = 2;
+        assert.equal(el.shadowRoot.innerHTML, '<p role="note">2</p>');
+        el.count = 3;    // the p is built by the patch
+        assert.equal(el.shadowRoot.innerHTML, '<i>new</i><p role="note">3</p>');
+        el.remove();
+    });
+
+    it("Should run the lifecycle hooks of the rendered builders", async (t) => {
+        const tick = () => new Promise(r => setTimeout(r));
+        const calls = [];
+        defineElement('x-hooked', {
+            render: () => hh.p('hooked').onConnect(p => { calls.push('connect'); return () => calls.push('cleanup') })
+        });
+        const el = body.appendChild(document.createElement('x-hooked'));
+        await tick();
+        assert.deepEqual(calls, ['connect']);
+        el.remove();
+        await tick();
+        assert.deepEqual(calls, ['connect', 'cleanup']);
+    });
+});
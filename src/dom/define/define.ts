@@ -0,0 +1,177 @@
+/**
+ * Exports {@link defineElement} for turning a function that returns
+ * builders into a registered custom element.
+ *
+ * @module
+ */
+
+import { StyleSheet } from "../../css/css.js";
+import { IApplyHandle } from "../../object/apply/apply.js";
+import { apply } from "../apply/apply.js";
+import { Builder, IBuilder } from "../builder/builder.js";
+import { dispose, observeRoot } from "../lifecycle/lifecycle.js";
+
+/**
+ * The declaration of a custom element passed to {@link defineElement}.
+ */
+export interface IElementDefinition<T extends object = object> {
+    /**
+     * Returns the builder(s) for the content of the element's shadow root.
+     * It is called with the element whenever it needs to be rendered.
+     */
+    render: (element: HTMLElement & T) => IBuilder | IBuilder[];
+    /**
+     * Stylesheets adopted by the shadow root.
+     */
+    styles?: (StyleSheet | CSSStyleSheet)[];
+    /**
+     * Names of extra attributes whose changes should re-render the element.
+     */
+    attributes?: string[];
+    /**
+     * Properties (with their default values) defined on the element. They
+     * are reflected to (and observed from) attributes with kebab-cased names.
+     * Attribute values are converted to the types of the defaults.
+     */
+    props?: T;
+    /**
+     * Components applied to the shadow root (with {@link apply}) every time
+     * it is built or patched. Before patching, the components applied 
+     * previously are undone (with the disposers they returned), so they 
+     * should return disposers if they are not safe to repeat.
+     */
+    components?: object;
+    /**
+     * The mode of the shadow root. Defaults to 'open'.
+     */
+    mode?: ShadowRootMode;
+}
+
+/**
+ * Defines a custom element which renders the builders returned by
+ * `definition.render` into its shadow root. The declared stylesheets are
+ * adopted by the shadow root.
+ *
+ * The element is rendered when it is connected. It is patched
+ * (with {@link Builder#patch}) whenever an observed attribute or a
+ * declared property changes. The lifecycle hooks of the builders (like 
+ * {@link Builder#onConnect}) run for the elements in the shadow root. The components in the shadow root are
+ * disposed (and the content cleared) when the element is disconnected.
+ *
+ * Returns the defined class.
+ *
+ * @example
+ * import { defineElement } from 'deleight/dom/define'
+ * import { hh } from 'deleight/dom/builder'
+ * import { StyleSheet, createStyle } from 'deleight/css'
+ *
+ * defineElement('click-counter', {
+ *     props: { count: 0, label: 'Clicks' },
+ *     styles: [new StyleSheet(createStyle('button { color: navy; }'))],
+ *     render: (el) => hh.button(`${el.label}: ${el.count}`).assign({ onclick() { el.count++ } })
+ * });
+ * document.body.innerHTML = '<click-counter label="Taps"></click-counter>';
+ *
+ * @param name
+ * @param definition
+ * @returns
+ */
+export function defineElement<T extends object>(name: string, definition: IElementDefinition<T>) {
+    const defaults = definition.props || {} as T;
+    const attrProps: { [key: string]: string } = {};
+    for (let prop of Object.keys(defaults)) attrProps[kebabCase(prop)] = prop;
+    const styles = (definition.styles || []).map(style => style instanceof StyleSheet? style: new StyleSheet(style));
+
+    class DefinedElement extends HTMLElement {
+        static observedAttributes = [...Object.keys(attrProps), ...(definition.attributes || [])];
+        root: ShadowRoot;
+        rendered = false;
+        applied: IApplyHandle<Element | DocumentFragment>;
+        values: object = { ...defaults };
+
+        connectedCallback() {
+            if (!this.root) {
+                this.root = this.attachShadow({ mode: definition.mode || 'open' });
+                observeRoot(this.root);
+                for (let style of styles) style.add(this.root);
+            }
+            if (!this.rendered) {
+                this.root.replaceChildren(...builders(this).map(b => b.build()));
+                if (definition.components) this.applied = apply(definition.components, this.root);
+                this.rendered = true;
+            }
+        }
+        disconnectedCallback() {
+            dispose(this.root);
+            this.root.replaceChildren();
+            this.rendered = false;
+            this.applied = undefined;
+        }
+        attributeChangedCallback(attr: string, oldValue: string, value: string) {
+            if (oldValue === value) return;
+            if (Reflect.has(attrProps, attr)) {
+                const prop = attrProps[attr];
+                value = fromAttribute(value, defaults[prop]);
+                if (this.values[prop] === value) return;
+                this.values[prop] = value;
+            }
+            this.update();
+        }
+        /**
+         * Patches the rendered content with the builders returned by
+         * `definition.render` and applies the components again.
+         */
+        update() {
+            if (!this.rendered) return;
+            this.applied?.undo();
+            const nodes = Array.from(this.root.children);
+            const results = builders(this);
+            results.forEach((builder, i) => {
+                if (nodes[i]) builder.patch(nodes[i]);
+                else this.root.append(builder.build());
+            });
+            for (let node of nodes.slice(results.length)) {
+                dispose(node);
+                node.remove();
+            }
+            if (definition.components) this.applied = apply(definition.components, this.root);
+        }
+    }
+
+    for (let [attr, prop] of Object.entries(attrProps)) {
+        Object.defineProperty(DefinedElement.prototype, prop, {
+            get() { return this.values[prop]; },
+            set(value) {
+                if (this.values[prop] === value) return;
+                this.values[prop] = value;
+                toAttribute(this, attr, value);
+                this.update();
+            }
+        });
+    }
+
+    function builders(element: DefinedElement) {
+        const result = definition.render(element as any);
+        return (result instanceof Builder)? [result]: result;
+    }
+
+    customElements.define(name, DefinedElement);
+    return DefinedElement;
+}
+
+function kebabCase(name: string) {
+    return name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+function fromAttribute(value: string, defaultValue: any): any {
+    if (typeof defaultValue === 'boolean') return value !== null;
+    else if (value === null) return defaultValue;
+    else if (typeof defaultValue === 'number') return Number(value);
+    else return value;
+}
+
+function toAttribute(element: Element, attr: string, value: any) {
+    if (value === false || value === null || value === undefined) element.removeAttribute(attr);
+    else if (value === true) element.setAttribute(attr, '');
+    else if (typeof value !== 'object') element.setAttribute(attr, `${value}`);
+}
@@ -0,0 +1,99 @@
+/**
+ * Exports {@link Diagnostics}, the report filled by `apply` and `process`
+ * when given the `diagnostics` or `strict` option, and {@link elementPath}
+ * used to identify elements in the report.
+ *
+ * @module
+ */
+/**
+ * A report of what happened when a component map was applied or processed.
+ * Pass one as the `diagnostics` option of `apply` or `process` to have it
+ * filled. With the `strict` option, the functions throw an AggregateError
+ * (of the errors from {@link Diagnostics#toErrors}) if the report is not ok.
+ *
+ * Component exceptions are recorded (and the remaining components still
+ * run) when a report is being filled.
+ *
+ * @example
+ * import { apply, Diagnostics } from 'deleight/dom'
+ * const diagnostics = new Diagnostics();
+ * apply({ main: { '.missing': (el) => {} } }, document.body, { diagnostics });
+ * diagnostics.unmatched;   // [{ key: '.missing', target: 'html > body:nth-child(2) > main' }]
+ * diagnostics.ok;          // false
+ */
+export class Diagnostics {
+    constructor() {
+        this.unmatched = [];
+        this.missing = [];
+        this.failures = [];
+        /**
+         * The number of times each component (by apply map key or component
+         * name) was run. It has no prototype so any key can be counted.
+         */
+        this.counts = Object.create(null);
+    }
+    /**
+     * Whether nothing was unmatched, missing or failed.
+     */
+    get ok() {
+        return !(this.unmatched.length || this.missing.length || this.failures.length);
+    }
+    /**
+     * Increments the run count of the key.
+     *
+     * @param key
+     */
+    count(key) {
+        this.counts[key] = (this.counts[key] || 0) + 1;
+    }
+    /**
+     * Returns the problems in the report as errors. The component exceptions
+     * are included as the causes of their errors.
+     */
+    toErrors() {
+        return [
+            ...this.unmatched.map(u => new Error(`The selector: ${String(u.key)} matched nothing in ${u.target}.`)),
+            ...this.missing.map(m => new Error(`The component: ${m.name} could not be found (in the attribute ${m.attribute} of ${m.element}).`)),
+            ...this.failures.map(f => new Error(`The component: ${String(f.key)} failed at ${f.element}: ${f.error?.message}`, { cause: f.error }))
+        ];
+    }
+    /**
+     * Throws an AggregateError of {@link Diagnostics#toErrors} if the
+     * report is not ok.
+     *
+     * @param message
+     */
+    check(message = 'The components were not all applied.') {
+        if (!this.ok)
+            throw new AggregateError(this.toErrors(), message);
+    }
+}
+/**
+ * Returns a CSS-selector-like path identifying the element, such as
+ * `html > body > main > p:nth-child(2)`. The path starts from the closest
+ * ancestor (or self) with an id.
+ *
+ * @example
+ * import { elementPath } from 'deleight/dom/diagnostics'
+ * document.body.innerHTML = `<main id="app"><p>One</p><p>Two</p></main>`;
+ * elementPath(document.querySelector('p + p'));    // 'main#app > p:nth-child(2)'
+ *
+ * @param element
+ * @returns
+ */
+export function elementPath(element) {
+    const parts = [];
+    let part, parent;
+    for (let current = element; current; current = parent) {
+        part = current.tagName.toLowerCase();
+        if (current.id) {
+            parts.unshift(`${part}#${current.id}`);
+            break;
+        }
+        if ((parent = current.parentElement) && parent.children.length > 1) {
+            part += `:nth-child(${Array.prototype.indexOf.call(parent.children, current) + 1})`;
+        }
+        parts.unshift(part);
+    }
+    return parts.join(' > ');
+}
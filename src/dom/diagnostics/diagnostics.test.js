@@ -0,0 +1,44 @@
+import { describe, it } from "node:test";
+import { strict as assert } from "node:assert";
+import { Diagnostics, elementPath } from "./diagnostics.js";
+import { JSDOM } from "jsdom";
+
+const window = new JSDOM(`<!DOCTYPE html><body></body>`).window;
+const document = window.document;
+const body = document.body;
+
+describe("elementPath", () => {
+    it("Should return the path from the closest element with an id", (t) => {
+        body.innerHTML = `<main id="app"><p>One</p><p>Two <b>bold</b></p></main><footer></footer>`;
+        assert.equal(elementPath(body.querySelector('b')), 'main#app > p:nth-child(2) > b');
+        assert.equal(elementPath(body.querySelector('main')), 'main#app');
+        assert.equal(elementPath(body.querySelector('footer')), 'html > body:nth-child(2) > footer:nth-child(2)');
+    });
+});
+
+describe("Diagnostics", () => {
+    it("Should throw an AggregateError only when not ok", (t) => {
+        const diagnostics = new Diagnostics();
+        diagnostics.count('a');
+        diagnostics.count('a');
+        assert.deepEqual(diagnostics.counts, { __proto__: null, a: 2 });
+        assert.doesNotThrow(() => diagnostics.check());
+        const error = new Error('Oops');
+        diagnostics.failures.push({ key: 'a', element: 'p#x', error });
+        assert.throws(() => diagnostics.check('Failed.'), (e) => {
+            assert.ok(e instanceof AggregateError);
+            assert.equal(e.message, 'Failed.');
+            assert.equal(e.errors[0].cause, error);
+            return true;
+        });
+    });
+
+    it("Should count keys which are also prototype members", (t) => {
+        const diagnostics = new Diagnostics();
+        for (let key of ['constructor', '__proto__', 'toString', '__proto__']) diagnostics.count(key);
+        assert.equal(diagnostics.counts.constructor, 1);
+        assert.equal(diagnostics.counts.toString, 1);
+        assert.equal(diagnostics.counts['__proto__'], 2);
+        assert.deepEqual(Object.keys(diagnostics.counts), ['constructor', '__proto__', 'toString']);
+    });
+});
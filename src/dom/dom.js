@@ -5,8 +5,12 @@
 export * from './apply/apply.js';
 export * from './builder/builder.js';
 export * from './components/components.js';
+export * from './define/define.js';
+export * from './diagnostics/diagnostics.js';
 export * from './element/element.js';
 export * from './esc/esc.js';
+export * from './form/form.js';
 export * from './html/html.js';
+export * from './lifecycle/lifecycle.js';
 export * from './parent/parent.js';
 export * from './process/process.js';
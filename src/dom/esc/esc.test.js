@@ -0,0 +1,113 @@
+import { describe, it, before } from "node:test";
+import { strict as assert } from "node:assert";
+import { esc, escObject, escString, escAttr, escUrl, escCss, escJson, unEsc, urlSchemes, sanitize, composePolicy, defaultPolicy } from "./esc.js";
+import { JSDOM } from "jsdom";
+
+describe("escString", () => {
+    it("Should escape and unescape the special HTML characters", (t) => {
+        const unsafe = `<p class="a" title='b'>&</p>`;
+        assert.equal(escString(unsafe), '&lt;p class=&quot;a&quot; title=&#039;b&#039;&gt;&amp;&lt;/p&gt;');
+        assert.equal(unEsc(escString(unsafe)), unsafe);
+    });
+});
+
+describe("escAttr", () => {
+    it("Should escape everything but the safe characters", (t) => {
+        assert.equal(escAttr('a-b_c.d,e9'), 'a-b_c.d,e9');
+        assert.equal(escAttr('a b" onclick=x'), 'a&#x20;b&#x22;&#x20;onclick&#x3d;x');
+        assert.equal(escAttr('`😀'), '&#x60;&#x1f600;');
+    });
+});
+
+describe("escUrl", () => {
+    it("Should block unsafe schemes and escape the rest", (t) => {
+        assert.equal(escUrl('https://example.com/?a=1&b="2"'), 'https://example.com/?a=1&amp;b=&quot;2&quot;');
+        assert.equal(escUrl('/relative/path?q=1#top'), '/relative/path?q=1#top');
+        assert.equal(escUrl('mailto:me@example.com'), 'mailto:me@example.com');
+        assert.equal(escUrl('javascript:alert(1)'), 'about:blank');
+        assert.equal(escUrl(' JavaScript:alert(1)'), 'about:blank');
+        assert.equal(escUrl('java\tscript:alert(1)'), 'about:blank');
+        assert.equal(escUrl('data:text/html,<script>alert(1)</script>'), 'about:blank');
+        assert.equal(escUrl('/path:with/colon'), '/path:with/colon');
+    });
+
+    it("Should use the modified schemes", (t) => {
+        urlSchemes.push('data');
+        assert.equal(escUrl('data:image/png;base64,AAAA'), 'data:image/png;base64,AAAA');
+        urlSchemes.pop();
+        assert.equal(escUrl('data:image/png;base64,AAAA'), 'about:blank');
+    });
+});
+
+describe("escCss", () => {
+    it("Should escape like CSS.escape", (t) => {
+        assert.equal(escCss('item-1'), 'item-1');
+        assert.equal(escCss('1st item'), '\\31 st\\ item');
+        assert.equal(escCss('-2'), '-\\32 ');
+        assert.equal(escCss('-'), '\\-');
+        assert.equal(escCss('a"); color: red'), 'a\\"\\)\\;\\ color\\:\\ red');
+        assert.equal(escCss('\0\n'), '\ufffd\\a ');
+    });
+});
+
+describe("escJson", () => {
+    it("Should return JSON which cannot break out of a script", (t) => {
+        const value = { a: '</script><!-- & \u2028' };
+        const json = escJson(value);
+        assert.equal(json, '{"a":"\\u003c/script\\u003e\\u003c!-- \\u0026 \\u2028"}');
+        assert.deepEqual(JSON.parse(json), value);
+        assert.equal(escJson(undefined), 'null');
+    });
+});
+
+describe("escObject", () => {
+    it("Should escape nested strings with the escaper for the context", (t) => {
+        const obj = { a: 1, b: '<b>', c: { d: 'javascript:x', e: 'https://a.com/?x&y' } };
+        assert.equal(escObject(obj).b, '&lt;b&gt;');
+        assert.equal(escObject(obj).a, 1);
+        const urls = escObject(obj, 'url');
+        assert.equal(urls.c.d, 'about:blank');
+        assert.equal(urls.c.e, 'https://a.com/?x&amp;y');
+        assert.equal(escObject(obj, s => s.toUpperCase()).c.d, 'JAVASCRIPT:X');
+        assert.equal(esc('<b>', 'attr'), '&#x3c;b&#x3e;');
+        assert.equal(esc(obj, 'json').b, '"\\u003cb\\u003e"');
+        assert.throws(() => esc('x', 'sql'), /The escaping context: sql is not known./);
+        assert.throws(() => esc('x', 'toString'), /The escaping context: toString is not known./);
+    });
+});
+
+describe("sanitize", () => {
+    const window = new JSDOM(`<!DOCTYPE html><body></body>`).window;
+
+    before(() => {
+        global.document = window.document;
+        global.Element = window.Element;
+        global.Text = window.Text;
+    });
+
+    it("Should keep only the allowed elements and attributes", (t) => {
+        const html = `<span class="x" onclick="x()" dir="rtl">Hi <b>there</b><!-- note --><font>in <i>font</i></font>`
+            + `<script>x()</script><style>p{}</style><a href="javascript:x()" title="t">a</a><a href="/b" target="_top">b</a></span>`;
+        assert.equal(sanitize(html), '<span dir="rtl">Hi <b>there</b>in <i>font</i><a title="t">a</a><a href="/b">b</a></span>');
+        assert.equal(sanitize('<img src=x onerror="alert(1)"><svg><a href="javascript:x()">s</a></svg>'), '<a>s</a>');
+    });
+
+    it("Should return a fragment when asked", (t) => {
+        const fragment = sanitize('<em>a</em><u onmouseover="x()">b</u>', defaultPolicy, true);
+        assert.ok(fragment instanceof window.DocumentFragment);
+        assert.deepEqual(Array.from(fragment.children).map(c => c.outerHTML), ['<em>a</em>', '<u>b</u>']);
+    });
+
+    it("Should apply the composed policies", (t) => {
+        const policy = composePolicy(defaultPolicy, { elements: { img: ['src', 'alt'], a: ['rel'] }, drop: ['table'] });
+        assert.deepEqual(policy.elements.a, ['href', 'title', 'rel']);
+        assert.equal(sanitize('<img src="a.png" alt="A" onerror="x()"><a rel="nofollow" href="https://a.com">a</a><table><tr><td>x</td></tr></table>', policy),
+            '<img src="a.png" alt="A"><a rel="nofollow" href="https://a.com">a</a>');
+        assert.equal(sanitize('<img src=" javascript:x()">', policy), '<img>');
+        assert.equal(sanitize('<p><b>x</b></p>', { elements: { b: [] } }), '<b>x</b>');
+    });
+
+    it("Should not treat inherited names as allowed elements", (t) => {
+        assert.equal(sanitize('<constructor>x</constructor><tostring title="t">y</tostring><p>ok</p>'), 'xy<p>ok</p>');
+    });
+});
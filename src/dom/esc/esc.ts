@@ -1,8 +1,54 @@
+import { IMap } from "../../types.js";
+
+/**
+ * Markup which is safe to insert into HTML without escaping. This is 
+ * the one trusted-markup marker shared by the builders (which export it 
+ * as `Raw`) and the `safeHtml` templates (which return it). Create 
+ * instances with {@link raw}.
+ */
+export class SafeHtml {
+    html: string;
+    constructor(html: string) {
+        this.html = html;
+    }
+    toString() {
+        return this.html;
+    }
+}
+
+/**
+ * Marks the given (trusted) markup as safe so that builders and 
+ * `safeHtml` templates insert it without escaping.
+ * 
+ * @example
+ * import { raw } from 'deleight/dom/esc'
+ * import { hh } from 'deleight/dom/builder'
+ * import { safeHtml } from 'deleight/template'
+ * hh.p('Escaped <b>text</b> ', raw('<b>bold text</b>')).render({ minify: true });
+ * // <p>Escaped &lt;b&gt;text&lt;/b&gt; <b>bold text</b></p>
+ * safeHtml`<p>${'<b>escaped</b>'} ${raw('<b>bold</b>')}</p>`.html;
+ * // '<p>&lt;b&gt;escaped&lt;/b&gt; <b>bold</b></p>'
+ * 
+ * @param html 
+ * @returns 
+ */
+export function raw(html: string) {
+    return new SafeHtml(html);
+}
+
+/**
+ * The escaping contexts supported by {@link escObject} and {@link esc}. 
+ * A function can also be given to escape the strings with.
+ */
+export type IEscContext = 'html' | 'attr' | 'url' | 'css' | 'json' | ((unsafe: string) => string);
+
 /**
  * Returns an object which escapes properties sourced from it. Escaping markup is a key component of template rendering, 
  * so this is an important function to have here.
  * 
- * NB: there are no tests yet. Please report any bugs.
+ * The strings are escaped with {@link escString} by default. Pass a 
+ * different `context` to use the matching escaper from {@link escapers} 
+ * (or pass your own escaper function).
  * 
  * @example
  * import { esc } from 'deleight/apriori'
@@ -11,20 +57,33 @@
  * console.log(escObj.c);     // &lt;p&gt;But I am a paragraph&lt;/p&gt;
  * console.log(escObj.d.e);     // &lt;p&gt;&quot;esc&quot; will still work here&lt;/p&gt;
  * 
+ * const links = escObject({ home: 'javascript:alert(1)' }, 'url');
+ * console.log(links.home);     // about:blank
  * 
  * @param {*} object 
+ * @param {*} context 
  */
-export function escObject<T extends object>(object: T): T {
-    return new Proxy(object, new EscTrap()) as T;
+export function escObject<T extends object>(object: T, context: IEscContext = 'html'): T {
+    return new Proxy(object, new EscTrap(escaper(context))) as T;
+}
+
+function escaper(context: IEscContext) {
+    if (context instanceof Function) return context;
+    if (!Object.hasOwn(escapers, context)) throw new Error(`The escaping context: ${context} is not known.`);
+    return escapers[context];
 }
 
 class EscTrap {
     children = {};
+    escaper: (unsafe: string) => string;
+    constructor(escaper: (unsafe: string) => string) {
+        this.escaper = escaper;
+    }
     get(target, p) {
         if (this.children.hasOwnProperty(p)) return this.children[p];
         const result = target[p];
-        if (typeof result === 'string') return this.children[p] = escString(result);
-        else if (typeof result === 'object') return this.children[p] = escObject(result);
+        if (typeof result === 'string') return this.children[p] = this.escaper(result);
+        else if (typeof result === 'object') return this.children[p] = escObject(result, this.escaper);
         else return this.children[p] = result;
     }
 }
@@ -47,14 +106,129 @@ export function escString(unsafe: string) {
  }
 
  /**
-  * Unified form of {@link escString} and {@link escObject}. 
+  * Escapes the value for use as an attribute value. Unlike {@link escString}, 
+  * this escapes every character except ASCII letters, digits, `,`, `.`, `-` 
+  * and `_` (as hex character references), so the result is also safe in 
+  * unquoted attribute values.
+  * 
+  * @example
+  * import { escAttr } from 'deleight/dom/esc'
+  * escAttr('a b" onclick=x');    // a&#x20;b&#x22;&#x20;onclick&#x3d;x
+  * 
+  * @param unsafe 
+  * @returns 
+  */
+ export function escAttr(unsafe: string) {
+    return unsafe.replace(/[^a-zA-Z0-9,._-]/gu, c => `&#x${c.codePointAt(0).toString(16)};`);
+ }
+
+ /**
+  * The URL schemes allowed by {@link escUrl}. Modify to allow more (or fewer).
+  */
+ export const urlSchemes = ['http', 'https', 'mailto', 'tel', 'ftp'];
+
+ /**
+  * Escapes the URL for use in a (quoted) attribute like `href` or `src`. 
+  * URLs with schemes not in {@link urlSchemes} (such as `javascript:`, 
+  * `vbscript:` and `data:`) are replaced with `about:blank`. Relative 
+  * URLs are allowed.
+  * 
+  * Control characters and whitespace (which browsers ignore in schemes) 
+  * are removed before checking the scheme.
+  * 
+  * @example
+  * import { escUrl } from 'deleight/dom/esc'
+  * escUrl('https://example.com/?a=1&b="2"');   // https://example.com/?a=1&amp;b=&quot;2&quot;
+  * escUrl(' JavaScript:alert(1)');              // about:blank
+  * escUrl('/relative/path');                    // /relative/path
+  * 
+  * @param unsafe 
+  * @returns 
+  */
+ export function escUrl(unsafe: string) {
+    const url = unsafe.replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+    return isSafeUrl(url)? escString(url): 'about:blank';
+ }
+
+ function isSafeUrl(url: string) {
+    const scheme = url.replace(/[\u0000-\u0020\u007f-\u009f]/g, '').match(/^([^\/?#]*?):/);
+    return !scheme || urlSchemes.includes(scheme[1].toLowerCase());
+ }
+
+ /**
+  * Escapes the value for use as a CSS identifier or inside a CSS string 
+  * (following the algorithm of `CSS.escape`).
+  * 
+  * @example
+  * import { escCss } from 'deleight/dom/esc'
+  * escCss('1st item');          // \31 st\ item
+  * escCss('a"); color: red');   // a\"\)\;\ color\:\ red
+  * 
+  * @param unsafe 
+  * @returns 
+  */
+ export function escCss(unsafe: string) {
+    let result = '', code: number;
+    for (let i = 0; i < unsafe.length; i++) {
+        code = unsafe.charCodeAt(i);
+        if (code === 0) result += '\ufffd';
+        else if ((code >= 0x1 && code <= 0x1f) || code === 0x7f 
+            || (i === 0 && code >= 0x30 && code <= 0x39)
+            || (i === 1 && code >= 0x30 && code <= 0x39 && unsafe.charCodeAt(0) === 0x2d)) {
+            result += `\\${code.toString(16)} `;
+        } else if (i === 0 && code === 0x2d && unsafe.length === 1) result += '\\-';
+        else if (code >= 0x80 || code === 0x2d || code === 0x5f || (code >= 0x30 && code <= 0x39) 
+            || (code >= 0x41 && code <= 0x5a) || (code >= 0x61 && code <= 0x7a)) {
+            result += unsafe[i];
+        } else result += `\\${unsafe[i]}`;
+    }
+    return result;
+ }
+
+ /**
+  * Returns the JSON of the value, safe for embedding in an inline 
+  * `<script>` (including `type="application/json"` scripts). The 
+  * characters `<`, `>`, `&`, U+2028 and U+2029 are written as unicode 
+  * escapes, so the JSON cannot close the script or open a comment.
+  * 
+  * @example
+  * import { escJson } from 'deleight/dom/esc'
+  * escJson({ a: '</script><script>alert(1)</script>' });   // {"a":"\u003c/script\u003e..."}
   * 
   * @param value 
   * @returns 
   */
- export function esc<T extends string | object>(value: T): T {
-    if (typeof value === 'string') return escString(value) as T;
-    else return escObject(value) as T;
+ export function escJson(value: any) {
+    return (JSON.stringify(value) ?? 'null').replace(/[<>&\u2028\u2029]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+ }
+
+ /**
+  * The escapers used for the named contexts of {@link escObject} and {@link esc}.
+  */
+ export const escapers = {
+    html: escString,
+    attr: escAttr,
+    url: escUrl,
+    css: escCss,
+    json: escJson
+ };
+
+ /**
+  * Unified form of {@link escString} and {@link escObject}. Pass a 
+  * `context` to escape with another escaper (see {@link IEscContext}).
+  * 
+  * @example
+  * import { esc } from 'deleight/dom/esc'
+  * esc('a<b');                    // a&lt;b
+  * esc('javascript:x', 'url');    // about:blank
+  * 
+  * @param value 
+  * @param context 
+  * @returns 
+  */
+ export function esc<T extends string | object>(value: T, context: IEscContext = 'html'): T {
+    if (typeof value === 'string') return escaper(context)(value) as T;
+    else return escObject(value, context) as T;
  }
 
  /**
@@ -74,4 +248,121 @@ export function escString(unsafe: string) {
          .replace(/&#039;/g, "'");
  }
 
- 
\ No newline at end of file
+ /**
+  * What {@link sanitize} keeps.
+  */
+ export interface ISanitizePolicy {
+    /**
+     * The allowed elements (by lowercase tag name), mapped to the 
+     * attributes allowed on them (in addition to `attributes`).
+     */
+    elements?: IMap<string[]>;
+    /**
+     * The attributes allowed on all allowed elements.
+     */
+    attributes?: string[];
+    /**
+     * The elements removed together with their content. Other elements 
+     * that are not allowed are replaced by their (sanitized) content.
+     */
+    drop?: string[];
+ }
+
+ /**
+  * The attributes whose values are checked against {@link urlSchemes} by 
+  * {@link sanitize}.
+  */
+ export const urlAttributes = ['href', 'src', 'action', 'formaction', 'cite', 'poster', 'xlink:href'];
+
+ /**
+  * The default policy of {@link sanitize}, allowing basic formatting, 
+  * lists and links.
+  */
+ export const defaultPolicy: ISanitizePolicy = {
+    elements: {
+        a: ['href', 'title'], abbr: ['title'], b: [], blockquote: ['cite'], br: [], code: [], 
+        del: [], em: [], hr: [], i: [], ins: [], li: [], mark: [], ol: ['start'], p: [], 
+        pre: [], s: [], small: [], span: [], strong: [], sub: [], sup: [], u: [], ul: []
+    },
+    attributes: ['lang', 'dir'],
+    drop: ['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'textarea', 'title']
+ };
+
+ /**
+  * Combines the policies into one that allows everything any of them 
+  * allows (and drops everything any of them drops).
+  * 
+  * @example
+  * import { composePolicy, defaultPolicy, sanitize } from 'deleight/dom/esc'
+  * const withImages = composePolicy(defaultPolicy, { elements: { img: ['src', 'alt'] } });
+  * sanitize('<img src="a.png" onerror="alert(1)">', withImages);   // <img src="a.png">
+  * 
+  * @param policies 
+  * @returns 
+  */
+ export function composePolicy(...policies: ISanitizePolicy[]) {
+    const result: ISanitizePolicy = { elements: {}, attributes: [], drop: [] };
+    for (let policy of policies) {
+        for (let [name, attributes] of Object.entries(policy.elements || {})) {
+            result.elements[name] = [...new Set([...(result.elements[name] || []), ...attributes])];
+        }
+        result.attributes = [...new Set([...result.attributes, ...(policy.attributes || [])])];
+        result.drop = [...new Set([...result.drop, ...(policy.drop || [])])];
+    }
+    return result;
+ }
+
+ /**
+  * Removes everything not allowed by the policy from the HTML. The markup 
+  * is parsed with a `<template>` (like `createFragment`), so no scripts 
+  * run and no resources load while sanitizing.
+  * 
+  * Comments, event handler attributes (`on*`) and URL attributes 
+  * (see {@link urlAttributes}) with schemes not in {@link urlSchemes} are 
+  * always removed. Returns the sanitized markup, or the sanitized 
+  * fragment if `fragment` is truthy.
+  * 
+  * @example
+  * import { sanitize } from 'deleight/dom/esc'
+  * sanitize('<p onclick="x()">Hi <a href="javascript:x()">there</a><script>x()</script></p>');
+  * // <p>Hi <a>there</a></p>
+  * 
+  * @param html 
+  * @param policy 
+  * @param fragment 
+  */
+ export function sanitize(html: string, policy?: ISanitizePolicy, fragment?: false): string;
+ export function sanitize(html: string, policy: ISanitizePolicy, fragment: true): DocumentFragment;
+ export function sanitize(html: string, policy: ISanitizePolicy = defaultPolicy, fragment = false) {
+    const temp = document.createElement('template');
+    temp.innerHTML = html;
+    sanitizeChildren(temp.content, policy);
+    return fragment? temp.content: temp.innerHTML;
+ }
+
+ function sanitizeChildren(parent: Node, policy: ISanitizePolicy) {
+    for (let node of Array.from(parent.childNodes)) {
+        if (node instanceof Text) continue;
+        if (!(node instanceof Element)) {
+            node.remove();
+            continue;
+        }
+        const name = node.localName;
+        if (policy.drop?.includes(name)) {
+            node.remove();
+            continue;
+        }
+        sanitizeChildren(node, policy);
+        if (!policy.elements || !Object.hasOwn(policy.elements, name)) {
+            node.replaceWith(...Array.from(node.childNodes));
+            continue;
+        }
+        const allowed = [...policy.elements[name], ...(policy.attributes || [])];
+        for (let attr of Array.from(node.attributes)) {
+            if (!allowed.includes(attr.name) || attr.name.startsWith('on') 
+                || (urlAttributes.includes(attr.name) && !isSafeUrl(attr.value))) {
+                node.removeAttributeNode(attr);
+            }
+        }
+    }
+ }
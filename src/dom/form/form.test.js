@@ -0,0 +1,187 @@
+import { describe, it } from "node:test";
+import { strict as assert } from "node:assert";
+import { parseName, controls, serialize, fill, validator, validate, validateControl, rules } from "./form.js";
+import { apply } from "../apply/apply.js";
+import { dispose } from "../lifecycle/lifecycle.js";
+import { JSDOM } from "jsdom";
+
+const window = new JSDOM(`<!DOCTYPE html><body></body>`).window;
+const document = window.document;
+const body = document.body;
+
+global.document = document;
+global.Element = window.Element;
+global.DocumentFragment = window.DocumentFragment;
+global.HTMLInputElement = window.HTMLInputElement;
+global.HTMLSelectElement = window.HTMLSelectElement;
+
+describe("parseName", () => {
+    it("Should parse bracketed and dotted names", (t) => {
+        assert.deepEqual(parseName('name'), ['name']);
+        assert.deepEqual(parseName('user[address][city]'), ['user', 'address', 'city']);
+        assert.deepEqual(parseName('user.address.city'), ['user', 'address', 'city']);
+        assert.deepEqual(parseName('user.tags[]'), ['user', 'tags', '']);
+    });
+});
+
+describe("controls", () => {
+    it("Should return the named controls except buttons and files", (t) => {
+        body.innerHTML = `<form>
+            <input name="a"><input><button name="b">B</button><input type="submit" name="c">
+            <input type="file" name="d"><select m-ember="e"></select><textarea name="f"></textarea>
+        </form>`;
+        const names = controls(body.firstElementChild).map(c => c.name || c.getAttribute('m-ember'));
+        assert.deepEqual(names, ['a', 'e', 'f']);
+    });
+});
+
+describe("serialize", () => {
+    it("Should return nested objects from the control names", (t) => {
+        body.innerHTML = `<form>
+            <input name="user[name]" value="Ama">
+            <input name="user.address.city" value="Accra">
+            <input name="tags[]" type="checkbox" value="a" checked>
+            <input name="tags[]" type="checkbox" value="b">
+            <input name="tags[]" type="checkbox" value="c" checked>
+            <input name="items[0][qty]" value="2">
+            <input name="items[1][qty]" value="3">
+            <input name="size" type="radio" value="s">
+            <input name="size" type="radio" value="m" checked>
+            <input name="agree" type="checkbox">
+            <input name="skipped" value="x" disabled>
+            <select name="letters" multiple><option selected>a</option><option>b</option><option selected>c</option></select>
+            <textarea m-ember="note">Hi</textarea>
+        </form>`;
+        assert.deepEqual(serialize(body.firstElementChild), {
+            user: { name: 'Ama', address: { city: 'Accra' } },
+            tags: ['a', 'c'],
+            items: [{ qty: '2' }, { qty: '3' }],
+            size: 'm',
+            letters: ['a', 'c'],
+            note: 'Hi'
+        });
+    });
+
+    it("Should give arrays for repeated names", (t) => {
+        body.innerHTML = `<form>
+            <input name="color" type="checkbox" value="red" checked>
+            <input name="color" type="checkbox" value="blue" checked>
+            <input name="none[]" type="checkbox" value="x">
+        </form>`;
+        assert.deepEqual(serialize(body.firstElementChild), { color: ['red', 'blue'], none: [] });
+    });
+
+    it("Should skip names which could pollute prototypes", (t) => {
+        body.innerHTML = `<form>
+            <input name="__proto__[polluted]" value="yes">
+            <input name="a.constructor.prototype.polluted" value="yes">
+            <input name="toString[x]" value="own">
+            <input name="b" value="1"><input name="valueOf" value="2"><input name="valueOf" value="3">
+        </form>`;
+        const result = serialize(body.firstElementChild);
+        assert.equal(({}).polluted, undefined);
+        assert.deepEqual(result, { toString: { x: 'own' }, b: '1', valueOf: ['2', '3'] });
+    });
+});
+
+describe("fill", () => {
+    it("Should set the controls from the data", (t) => {
+        body.innerHTML = `<form>
+            <input name="user[name]">
+            <input name="user.address.city" value="unchanged">
+            <input name="tags[]" type="checkbox" value="a">
+            <input name="tags[]" type="checkbox" value="b">
+            <input name="size" type="radio" value="s">
+            <input name="size" type="radio" value="m">
+            <input name="agree" type="checkbox">
+            <input name="phones[]"><input name="phones[]">
+            <select name="letters" multiple><option>a</option><option>b</option><option>c</option></select>
+            <select name="choice"><option>x</option><option>y</option></select>
+        </form>`;
+        const form = body.firstElementChild;
+        const data = {
+            user: { name: 'Ama' }, tags: ['b'], size: 'm', agree: true,
+            phones: ['123', '456'], letters: ['a', 'c'], choice: 'y'
+        };
+        fill(form, data);
+        const [name, city, a, b, s, m, agree, p1, p2] = form.querySelectorAll('input');
+        assert.equal(name.value, 'Ama');
+        assert.equal(city.value, 'unchanged');
+        assert.deepEqual([a.checked, b.checked, s.checked, m.checked, agree.checked], [false, true, false, true, true]);
+        assert.deepEqual([p1.value, p2.value], ['123', '456']);
+        assert.equal(form.querySelector('[name=choice]').value, 'y');
+        assert.deepEqual(serialize(form), { ...data, user: { name: 'Ama', address: { city: 'unchanged' } }, agree: 'on' });
+    });
+});
+
+describe("validateControl", () => {
+    it("Should check the attribute rules and set the custom validity", (t) => {
+        body.innerHTML = `<form>
+            <input name="name" required minlength="3">
+            <input name="age" type="number" min="18" max="99">
+            <input name="code" pattern="[A-Z]{3}" title="Three capital letters">
+            <input name="email" type="email">
+        </form>`;
+        const [name, age, code, email] = body.querySelectorAll('input');
+        assert.deepEqual(validateControl(name), ['Please fill in this field.']);
+        assert.equal(name.validationMessage, 'Please fill in this field.');
+        name.value = 'Al';
+        assert.deepEqual(validateControl(name), ['Please use at least 3 characters.']);
+        name.value = 'Ama';
+        assert.deepEqual(validateControl(name), []);
+        assert.equal(name.validationMessage, '');
+
+        age.value = '9';
+        assert.deepEqual(validateControl(age), ['Please enter a value of at least 18.']);
+        age.value = '100';
+        assert.deepEqual(validateControl(age), ['Please enter a value of at most 99.']);
+        code.value = 'abc';
+        assert.deepEqual(validateControl(code), ['Three capital letters']);
+        email.value = 'not an email';
+        assert.deepEqual(validateControl(email), ['Please enter an email address.']);
+    });
+
+    it("Should use the rules added to the rules map", (t) => {
+        rules['data-even'] = (value) => (value && Number(value) % 2)? 'Please enter an even number.': undefined;
+        const input = document.createElement('input');
+        input.setAttribute('data-even', '');
+        input.value = '3';
+        assert.deepEqual(validateControl(input), ['Please enter an even number.']);
+        delete rules['data-even'];
+        assert.deepEqual(validateControl(input), []);
+    });
+});
+
+describe("validator", () => {
+    it("Should attach validators by selector and detach them when disposed", (t) => {
+        body.innerHTML = `<form>
+            <input name="password" value="secret12">
+            <input name="confirm" value="secret">
+        </form>`;
+        const form = body.firstElementChild;
+        apply({
+            '[name=confirm]': validator(value => value !== form.querySelector('[name=password]').value? 'The passwords do not match.': undefined)
+        }, form);
+        assert.deepEqual(validate(form), { valid: false, messages: { confirm: ['The passwords do not match.'] } });
+        dispose(form);
+        assert.deepEqual(validate(form), { valid: true, messages: {} });
+    });
+});
+
+describe("validate", () => {
+    it("Should validate all the controls and group the messages by name", (t) => {
+        body.innerHTML = `<form>
+            <input name="size" type="radio" value="s" required>
+            <input name="size" type="radio" value="m" required>
+            <input name="agree" type="checkbox" required>
+            <input name="skipped" required disabled>
+        </form>`;
+        const form = body.firstElementChild;
+        assert.deepEqual(validate(form), { valid: false, messages: {
+            size: ['Please select one of these options.'], agree: ['Please check this box.']
+        } });
+        form.querySelector('[value=m]').checked = true;
+        form.querySelector('[name=agree]').checked = true;
+        assert.deepEqual(validate(form), { valid: true, messages: {} });
+    });
+});
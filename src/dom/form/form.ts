@@ -0,0 +1,409 @@
+/**
+ * Functions for moving data between forms and objects and for
+ * validating form controls.
+ *
+ * The functions here include:
+ *
+ * 1. {@link serialize} for reading the named controls in a form (or any
+ * other element) into a (nested) object.
+ *
+ * 2. {@link fill} for setting the named controls from an object.
+ *
+ * 3. {@link validator} an `apply` component used to attach JavaScript
+ * validators to controls.
+ *
+ * 4. {@link validate} and {@link validateControl} for checking controls
+ * against the rules given by their attributes (see {@link rules}) and
+ * their attached validators.
+ *
+ * Controls are named by their `name` attribute or, failing that, by their
+ * member attribute (`m-ember` by default, as used by `selectMembers`).
+ * Names such as `user[address][city]` and `user.address.city` refer to
+ * nested properties. A name ending with `[]` refers to an array of values.
+ *
+ * @module
+ */
+
+import { IMap } from "../../types.js";
+import { IDisposer } from "../lifecycle/lifecycle.js";
+
+export type IFormControl = HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement;
+
+/**
+ * Optional arguments to the functions in this module.
+ */
+export interface IFormOptions {
+    /**
+     * The attribute used to name controls without a `name` attribute.
+     * Defaults to 'm-ember'.
+     */
+    memberAttr?: string;
+}
+
+/**
+ * A function that returns a message if the value of the control is
+ * invalid.
+ */
+export interface IValidator {
+    (value: any, control: IFormControl): string | void
+}
+
+/**
+ * A function that returns a message if the value of the control does
+ * not satisfy the attribute value.
+ */
+export interface IRule {
+    (value: any, control: IFormControl, attrValue: string): string | void
+}
+
+/**
+ * The result of {@link validate}.
+ */
+export interface IValidationResult {
+    valid: boolean;
+    /**
+     * The messages for every invalid control, keyed by the control's name.
+     */
+    messages: IMap<string[]>;
+}
+
+/**
+ * Returns the path of keys referred to by a control name. An empty
+ * key means 'the next item in the array'.
+ *
+ * @example
+ * import { parseName } from 'deleight/dom/form'
+ * parseName('user[address][city]');    // ['user', 'address', 'city']
+ * parseName('user.tags[]');            // ['user', 'tags', '']
+ *
+ * @param name
+ * @returns
+ */
+export function parseName(name: string) {
+    return name.replace(/\]/g, '').split(/\[|\./);
+}
+
+/**
+ * Returns the named controls within the element, in document order.
+ * Buttons and file inputs are excluded.
+ *
+ * @param form
+ * @param options
+ * @returns
+ */
+export function controls(form: Element, options?: IFormOptions) {
+    const memberAttr = options?.memberAttr || 'm-ember';
+    const result: IFormControl[] = [];
+    for (let element of form.querySelectorAll(`input, select, textarea`)) {
+        if (!nameOf(element, memberAttr)) continue;
+        if (element.tagName === 'INPUT' && ignoredTypes.includes((element as HTMLInputElement).type)) continue;
+        result.push(element as IFormControl);
+    }
+    return result;
+}
+
+const ignoredTypes = ['button', 'submit', 'reset', 'image', 'file'];
+
+function nameOf(element: Element, memberAttr = 'm-ember') {
+    return element.getAttribute('name') || element.getAttribute(memberAttr);
+}
+
+/**
+ * Returns an object containing the values of the enabled named controls
+ * in the form. The values are strings as they would be in `FormData`.
+ * Unchecked checkboxes and radios are skipped. Multiple selects and
+ * names ending with `[]` give arrays. Repeated names (such as those of
+ * checkboxes in a group) also give arrays. Controls with a name
+ * segment of `__proto__`, `constructor` or `prototype` are skipped.
+ *
+ * @example
+ * import { serialize } from 'deleight/dom/form'
+ * document.body.innerHTML = `
+ * <form>
+ *     <input name="user[name]" value="Ama">
+ *     <input name="user.address.city" value="Accra">
+ *     <input name="tags[]" type="checkbox" value="a" checked>
+ *     <input name="items[0][qty]" value="2">
+ * </form>
+ * `;
+ * serialize(document.forms[0]);
+ * // { user: { name: 'Ama', address: { city: 'Accra' } }, tags: ['a'], items: [{ qty: '2' }] }
+ *
+ * @param form
+ * @param options
+ * @returns
+ */
+export function serialize(form: Element, options?: IFormOptions) {
+    const result = {}, seen = new Set<string>();
+    let name: string, value: any, control: IFormControl;
+    for (control of controls(form, options)) {
+        if (control.disabled) continue;
+        name = nameOf(control, options?.memberAttr);
+        if (control instanceof HTMLSelectElement && control.multiple) {
+            value = Array.from(control.selectedOptions, option => option.value);
+        } else if (isCheckable(control) && !control.checked) {
+            if (!name.endsWith('[]')) continue;
+            value = undefined;
+        } else value = control.value;
+        serializeValue(result, parseName(name), value, seen.has(name));
+        seen.add(name);
+    }
+    return result;
+}
+
+/**
+ * Path segments which could reach (and pollute) prototypes.
+ */
+const unsafeKeys = ['__proto__', 'constructor', 'prototype'];
+
+function serializeValue(object: any, path: string[], value: any, repeated: boolean) {
+    if (path.some(key => unsafeKeys.includes(key))) return;
+    let key: string, next: string;
+    for (let i = 0; i < path.length - 1; i++) {
+        key = path[i], next = path[i + 1];
+        if (key === '') key = `${object.length}`;
+        if (!Object.hasOwn(object, key) || typeof object[key] !== 'object') object[key] = (next === '' || /^\d+$/.test(next))? []: {};
+        object = object[key];
+    }
+    key = path[path.length - 1];
+    if (key === '') {
+        if (value instanceof Array) object.push(...value);
+        else if (value !== undefined) object.push(value);
+    } else if (repeated && Object.hasOwn(object, key)) {
+        if (!(object[key] instanceof Array)) object[key] = [object[key]];
+        object[key].push(value);
+    } else object[key] = value;
+}
+
+/**
+ * Sets the values of the named controls in the form from the
+ * corresponding properties of the data. Controls without a
+ * matching property are not changed.
+ *
+ * Checkboxes and options are checked (or selected) if their values
+ * are in the matching array, or if the matching value is `true` or
+ * equals their value. When many controls (that are not checkboxes or
+ * radios) share a name matching an array, they are set from
+ * consecutive items.
+ *
+ * @example
+ * import { fill } from 'deleight/dom/form'
+ * document.body.innerHTML = `
+ * <form>
+ *     <input name="user[name]">
+ *     <input name="tags[]" type="checkbox" value="a">
+ *     <input name="tags[]" type="checkbox" value="b">
+ * </form>
+ * `;
+ * fill(document.forms[0], { user: { name: 'Ama' }, tags: ['b'] });
+ *
+ * @param form
+ * @param data
+ * @param options
+ * @returns
+ */
+export function fill(form: Element, data: object, options?: IFormOptions) {
+    const counts = new Map<string, number>();
+    let name: string, value: any, index: number, control: IFormControl;
+    for (control of controls(form, options)) {
+        name = nameOf(control, options?.memberAttr);
+        value = valueAt(data, parseName(name));
+        if (value === undefined) continue;
+        if (control instanceof HTMLSelectElement) {
+            const values = (value instanceof Array)? value.map(v => `${v}`): [`${value}`];
+            for (let option of control.options) option.selected = values.includes(option.value);
+        } else if (isCheckable(control)) {
+            control.checked = (value instanceof Array)? value.map(v => `${v}`).includes(control.value):
+                value === true || `${value}` === control.value;
+        } else {
+            if (value instanceof Array) {
+                index = counts.get(name) ?? 0;
+                counts.set(name, index + 1);
+                value = value[index];
+            }
+            control.value = `${value ?? ''}`;
+        }
+    }
+    return form;
+}
+
+function valueAt(data: any, path: string[]) {
+    for (let key of path) {
+        if (key === '') return data;
+        if (data === null || typeof data !== 'object') return;
+        data = data[key];
+    }
+    return data;
+}
+
+function isCheckable(control: IFormControl): control is HTMLInputElement {
+    return control instanceof HTMLInputElement && (control.type === 'checkbox' || control.type === 'radio');
+}
+
+/**
+ * The attribute rules used by {@link validateControl}. Each rule is
+ * checked if the control has the attribute with the same name.
+ * Add or replace entries to change the rules or their messages.
+ */
+export const rules: IMap<IRule> = {
+    required: (value, control) => {
+        if (control instanceof HTMLInputElement && control.type === 'radio') {
+            if (!(control.form || control.ownerDocument).querySelector(`input[type=radio][name="${control.name}"]:checked`)) {
+                return 'Please select one of these options.';
+            }
+        } else if (value === '' || value === null || (value instanceof Array && !value.length)) {
+            return (control instanceof HTMLInputElement && control.type === 'checkbox')?
+                'Please check this box.': 'Please fill in this field.';
+        }
+    },
+    minlength: (value, control, length) => {
+        if (typeof value === 'string' && value && value.length < Number(length)) {
+            return `Please use at least ${length} characters.`;
+        }
+    },
+    maxlength: (value, control, length) => {
+        if (typeof value === 'string' && value.length > Number(length)) {
+            return `Please use at most ${length} characters.`;
+        }
+    },
+    min: (value, control, min) => {
+        if (typeof value === 'string' && value && compare(value, min, control) < 0) {
+            return `Please enter a value of at least ${min}.`;
+        }
+    },
+    max: (value, control, max) => {
+        if (typeof value === 'string' && value && compare(value, max, control) > 0) {
+            return `Please enter a value of at most ${max}.`;
+        }
+    },
+    pattern: (value, control, pattern) => {
+        if (typeof value === 'string' && value && !new RegExp(`^(?:${pattern})$`, 'u').test(value)) {
+            return control.title || 'Please match the requested format.';
+        }
+    },
+    type: (value, control, type) => {
+        if (typeof value !== 'string' || !value) return;
+        if (type === 'email' && !/^[^\s@]+@[^\s@]+$/.test(value)) return 'Please enter an email address.';
+        if (type === 'url' && !URL.canParse(value)) return 'Please enter a URL.';
+        if (type === 'number' && isNaN(Number(value))) return 'Please enter a number.';
+    }
+};
+
+function compare(value: string, limit: string, control: IFormControl) {
+    if ((control as HTMLInputElement).type === 'number' || (control as HTMLInputElement).type === 'range') {
+        return Number(value) - Number(limit);
+    }
+    return value < limit? -1: value > limit? 1: 0;    // dates and times compare as strings
+}
+
+const validators = new WeakMap<Element, IValidator[]>();
+
+/**
+ * Returns a component which attaches the validators to the matched
+ * controls. The validators are called (after the attribute rules) by
+ * {@link validateControl} and {@link validate}. The component returns
+ * a disposer which detaches the validators.
+ *
+ * @example
+ * import { validator, validate } from 'deleight/dom/form'
+ * import { apply } from 'deleight/dom/apply'
+ * document.body.innerHTML = `
+ * <form>
+ *     <input name="password" required minlength="8">
+ *     <input name="confirm">
+ * </form>
+ * `;
+ * const form = document.forms[0];
+ * apply({
+ *     '[name=confirm]': validator(value => value !== form.elements.password.value? 'The passwords do not match.': undefined)
+ * }, form);
+ * const { valid, messages } = validate(form);
+ *
+ * @param fns
+ * @returns
+ */
+export function validator(...fns: IValidator[]) {
+    return (elements: Element | Iterable<Element>): IDisposer => {
+        const targets = (elements instanceof Element)? [elements]: Array.from(elements);
+        for (let element of targets) {
+            if (!validators.has(element)) validators.set(element, []);
+            validators.get(element).push(...fns);
+        }
+        return () => {
+            for (let element of targets) {
+                const attached = validators.get(element);
+                if (attached) validators.set(element, attached.filter(fn => !fns.includes(fn)));
+            }
+        }
+    }
+}
+
+/**
+ * Checks the control against the rules for its attributes and its
+ * attached validators. Returns the messages for the failed checks. The
+ * first message (or an empty string) is also set as the control's
+ * custom validity so it is shown by the browser.
+ *
+ * Disabled controls are always valid.
+ *
+ * @example
+ * import { validateControl } from 'deleight/dom/form'
+ * const input = document.createElement('input');
+ * input.required = true;
+ * validateControl(input);    // ['Please fill in this field.']
+ *
+ * @param control
+ * @returns
+ */
+export function validateControl(control: IFormControl) {
+    const messages: string[] = [];
+    if (!control.disabled) {
+        const value = valueOf(control);
+        let message: string | void;
+        for (let [attr, rule] of Object.entries(rules)) {
+            if (control.hasAttribute(attr) && (message = rule(value, control, control.getAttribute(attr)))) {
+                messages.push(message);
+            }
+        }
+        for (let fn of validators.get(control) || []) if (message = fn(value, control)) messages.push(message);
+    }
+    control.setCustomValidity(messages[0] || '');
+    return messages;
+}
+
+function valueOf(control: IFormControl) {
+    if (control instanceof HTMLSelectElement && control.multiple) {
+        return Array.from(control.selectedOptions, option => option.value);
+    } else if (isCheckable(control)) return control.checked? control.value: null;
+    else return control.value;
+}
+
+/**
+ * Validates all the named controls in the form with {@link validateControl}.
+ * Returns whether all are valid along with the messages for the invalid
+ * controls (keyed by their names).
+ *
+ * @example
+ * import { validate } from 'deleight/dom/form'
+ * document.body.innerHTML = `<form><input name="email" type="email" required></form>`;
+ * validate(document.forms[0]);
+ * // { valid: false, messages: { email: ['Please fill in this field.'] } }
+ *
+ * @param form
+ * @param options
+ * @returns
+ */
+export function validate(form: Element, options?: IFormOptions): IValidationResult {
+    const messages: IMap<string[]> = {};
+    let controlMessages: string[], name: string;
+    for (let control of controls(form, options)) {
+        if ((controlMessages = validateControl(control)).length) {
+            name = nameOf(control, options?.memberAttr);
+            if (!Reflect.has(messages, name)) messages[name] = [];
+            for (let message of controlMessages) {
+                if (!messages[name].includes(message)) messages[name].push(message);
+            }
+        }
+    }
+    return { valid: !Object.keys(messages).length, messages };
+}
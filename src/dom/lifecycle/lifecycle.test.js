@@ -0,0 +1,101 @@
+import { describe, it } from "node:test";
+import { strict as assert } from "node:assert";
+import { onConnect, onDisconnect, addDisposer, dispose } from "./lifecycle.js";
+import { JSDOM } from "jsdom";
+
+const window = new JSDOM(`<!DOCTYPE html><body></body>`).window;
+const document = window.document;
+const body = document.body;
+
+global.document = document;
+global.Element = window.Element;
+global.DocumentFragment = window.DocumentFragment;
+global.MutationObserver = window.MutationObserver;
+
+const tick = () => new Promise(r => setTimeout(r));
+
+describe("onConnect", () => {
+    it("Should call the callbacks when the element is connected", async (t) => {
+        const div = document.createElement('div'), calls = [];
+        onConnect(div, el => calls.push(el.tagName));
+        await tick();
+        assert.deepEqual(calls, []);
+        body.append(div);
+        await tick();
+        assert.deepEqual(calls, ['DIV']);
+        div.remove();
+    });
+
+    it("Should call the callbacks immediately for connected elements", async (t) => {
+        const div = body.appendChild(document.createElement('div')), calls = [];
+        onConnect(div, el => calls.push(el.tagName));
+        assert.deepEqual(calls, ['DIV']);
+        div.remove();
+    });
+
+    it("Should call the returned cleanup when the element is disconnected", async (t) => {
+        const div = document.createElement('div'), calls = [];
+        onConnect(div, el => (calls.push('connect'), () => calls.push('cleanup')));
+        body.append(div);
+        await tick();
+        div.remove();
+        await tick();
+        body.append(div);
+        await tick();
+        assert.deepEqual(calls, ['connect', 'cleanup', 'connect']);
+        div.remove();
+    });
+
+    it("Should track descendants of inserted elements", async (t) => {
+        const div = document.createElement('div'), p = div.appendChild(document.createElement('p')), calls = [];
+        onConnect(p, el => calls.push(el.tagName));
+        body.append(div);
+        await tick();
+        assert.deepEqual(calls, ['P']);
+        div.remove();
+    });
+});
+
+describe("onDisconnect", () => {
+    it("Should call the callbacks when the element is disconnected", async (t) => {
+        const div = body.appendChild(document.createElement('div')), calls = [];
+        onDisconnect(div, el => calls.push(el.tagName));
+        div.remove();
+        await tick();
+        assert.deepEqual(calls, ['DIV']);
+    });
+
+    it("Should not call the callbacks when the element is only moved", async (t) => {
+        const div = body.appendChild(document.createElement('div')), calls = [];
+        const section = body.appendChild(document.createElement('section'));
+        onDisconnect(div, el => calls.push(el.tagName));
+        section.append(div);
+        await tick();
+        assert.deepEqual(calls, []);
+        section.remove();
+    });
+});
+
+describe("dispose", () => {
+    it("Should run all the disposers in the tree once", async (t) => {
+        const div = document.createElement('div'), p = div.appendChild(document.createElement('p')), calls = [];
+        addDisposer(div, () => calls.push('div'), undefined);
+        addDisposer(p, () => calls.push('p'));
+        dispose(div);
+        dispose(div);
+        assert.deepEqual(calls, ['div', 'p']);
+    });
+
+    it("Should stop tracking the disposed elements", async (t) => {
+        const div = document.createElement('div'), calls = [];
+        onConnect(div, el => (calls.push('connect'), () => calls.push('cleanup')));
+        body.append(div);
+        await tick();
+        dispose(div);
+        div.remove();
+        body.append(div);
+        await tick();
+        assert.deepEqual(calls, ['connect', 'cleanup']);
+        div.remove();
+    });
+});
@@ -0,0 +1,249 @@
+/**
+ * Functions for running code when elements are connected to or
+ * disconnected from the document, and for cleaning up after them.
+ *
+ * Connection changes are detected by a single shared MutationObserver
+ * which observes the documents (and shadow roots) of the tracked elements.
+ * Note that insertions within shadow roots are only seen if the shadow
+ * root contained the element when it was tracked, or if the shadow root
+ * is observed with {@link observeRoot}.
+ *
+ * The functions here include:
+ *
+ * 1. {@link onConnect} for registering callbacks that run whenever an
+ * element is connected.
+ *
+ * 2. {@link onDisconnect} for registering callbacks that run whenever an
+ * element is disconnected.
+ *
+ * 3. {@link addDisposer} for registering cleanup functions which
+ * {@link dispose} will call.
+ *
+ * 4. {@link dispose} for running all the cleanup functions registered
+ * within an element's tree.
+ *
+ * @module
+ */
+
+/**
+ * A function which undoes what something else did.
+ */
+export interface IDisposer {
+    (): any
+}
+
+/**
+ * A function called when an element is connected. If it returns a
+ * function, that function will be called when the element is next
+ * disconnected (or disposed).
+ */
+export interface IConnectCallback {
+    (element: Element): IDisposer | void
+}
+
+/**
+ * A function called when an element is disconnected.
+ */
+export interface IDisconnectCallback {
+    (element: Element): any
+}
+
+interface ILifecycle {
+    connected: boolean;
+    connect: IConnectCallback[];
+    disconnect: IDisconnectCallback[];
+    /**
+     * Disposers returned by the last connect callbacks
+     */
+    cleanups: IDisposer[];
+    disposers: IDisposer[];
+}
+
+const lifecycles = new WeakMap<Node, ILifecycle>();
+const observedRoots = new WeakSet<Node>();
+let observer: MutationObserver;
+
+function lifecycle(element: Element) {
+    let result = lifecycles.get(element);
+    if (!result) lifecycles.set(element, result = {
+        connected: element.isConnected, connect: [], disconnect: [], cleanups: [], disposers: []
+    });
+    return result;
+}
+
+function track(element: Element) {
+    observeRoot(element.isConnected? element.getRootNode(): element.ownerDocument);
+}
+
+/**
+ * Makes the lifecycle callbacks of elements inserted into (or removed 
+ * from) the root run. Documents are observed automatically; call this 
+ * for shadow roots which elements with callbacks will be inserted into.
+ *
+ * @example
+ * import { observeRoot, onConnect } from 'deleight/dom/lifecycle'
+ * const root = host.attachShadow({ mode: 'open' });
+ * observeRoot(root);
+ * const p = onConnect(document.createElement('p'), el => console.log('connected'));
+ * root.append(p);     // connected
+ *
+ * @param root
+ */
+export function observeRoot(root: Node) {
+    if (!observer) observer = new MutationObserver(update);
+    if (!observedRoots.has(root)) {
+        observer.observe(root, { childList: true, subtree: true });
+        observedRoots.add(root);
+    }
+}
+
+function update(records: MutationRecord[]) {
+    let node: Node, element: Element, state: ILifecycle;
+    for (let record of records) {
+        for (node of [...record.removedNodes, ...record.addedNodes]) {
+            for (element of descendants(node)) {
+                state = lifecycles.get(element);
+                if (state && state.connected !== element.isConnected) {
+                    if (element.isConnected) connect(element, state);
+                    else disconnect(element, state);
+                }
+            }
+        }
+    }
+}
+
+function connect(element: Element, state: ILifecycle) {
+    state.connected = true;
+    let cleanup: IDisposer | void;
+    for (let callback of state.connect) {
+        if ((cleanup = callback(element)) instanceof Function) state.cleanups.push(cleanup);
+    }
+}
+
+function disconnect(element: Element, state: ILifecycle) {
+    state.connected = false;
+    for (let cleanup of state.cleanups.splice(0)) cleanup();
+    for (let callback of state.disconnect) callback(element);
+}
+
+/**
+ * Yields the node (if it is an element) and all its descendant elements,
+ * including those within open shadow roots.
+ *
+ * @param node
+ */
+export function* descendants(node: Node): Generator<Element> {
+    if (node instanceof Element) {
+        yield node;
+        if (node.shadowRoot) yield* descendants(node.shadowRoot);
+    }
+    if (node instanceof Element || node instanceof DocumentFragment) {
+        for (let child of Array.from(node.children)) yield* descendants(child);
+    }
+}
+
+/**
+ * Registers callbacks to run whenever the element is connected to a
+ * document. If the element is already connected, the callbacks are
+ * also called immediately. Any function returned by a callback
+ * is called when the element is next disconnected.
+ *
+ * @example
+ * import { onConnect } from 'deleight/dom/lifecycle'
+ * const div = document.createElement('div');
+ * onConnect(div, el => {
+ *     const timer = setInterval(() => el.textContent = new Date().toString(), 1000);
+ *     return () => clearInterval(timer);
+ * });
+ * document.body.append(div);    // the timer starts
+ * div.remove();                 // the timer stops
+ *
+ * @param element
+ * @param callbacks
+ * @returns
+ */
+export function onConnect(element: Element, ...callbacks: IConnectCallback[]) {
+    const state = lifecycle(element);
+    state.connect.push(...callbacks);
+    track(element);
+    if (state.connected) {
+        let cleanup: IDisposer | void;
+        for (let callback of callbacks) {
+            if ((cleanup = callback(element)) instanceof Function) state.cleanups.push(cleanup);
+        }
+    }
+    return element;
+}
+
+/**
+ * Registers callbacks to run whenever the element is disconnected
+ * from its document.
+ *
+ * @example
+ * import { onDisconnect } from 'deleight/dom/lifecycle'
+ * const div = document.body.appendChild(document.createElement('div'));
+ * onDisconnect(div, el => console.log('removed'));
+ * div.remove();     // removed
+ *
+ * @param element
+ * @param callbacks
+ * @returns
+ */
+export function onDisconnect(element: Element, ...callbacks: IDisconnectCallback[]) {
+    lifecycle(element).disconnect.push(...callbacks);
+    track(element);
+    return element;
+}
+
+/**
+ * Registers functions to call when the element is disposed with
+ * {@link dispose}. Non-function values are ignored so the results
+ * of components can be passed directly.
+ *
+ * @example
+ * import { addDisposer, dispose } from 'deleight/dom/lifecycle'
+ * const button = document.querySelector('button');
+ * const listener = () => console.log('clicked');
+ * button.addEventListener('click', listener);
+ * addDisposer(button, () => button.removeEventListener('click', listener));
+ * dispose(button);   // the listener is removed.
+ *
+ * @param element
+ * @param disposers
+ * @returns
+ */
+export function addDisposer(element: Element, ...disposers: any[]) {
+    const state = lifecycle(element);
+    for (let disposer of disposers) if (disposer instanceof Function) state.disposers.push(disposer);
+    return element;
+}
+
+/**
+ * Runs (once) every cleanup registered for the element and its
+ * descendants (including those in open shadow roots). These are
+ * the disposers added with {@link addDisposer} and the functions
+ * returned by {@link onConnect} callbacks. The elements will also
+ * no longer be tracked for connection changes.
+ *
+ * @example
+ * import { hh } from 'deleight/dom/builder'
+ * import { dispose } from 'deleight/dom/lifecycle'
+ * const timer = (el) => {
+ *     const id = setInterval(() => el.textContent = new Date().toString(), 1000);
+ *     return () => clearInterval(id);
+ * }
+ * const clock = hh.div().apply(timer).build();
+ * dispose(clock);   // the timer is stopped.
+ *
+ * @param root
+ */
+export function dispose(root: Element | DocumentFragment) {
+    let state: ILifecycle;
+    for (let element of descendants(root)) {
+        if (state = lifecycles.get(element)) {
+            lifecycles.delete(element);
+            for (let cleanup of state.cleanups) cleanup();
+            for (let disposer of state.disposers) disposer();
+        }
+    }
+}
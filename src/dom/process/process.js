@@ -6,35 +6,232 @@
  * @module
  */
 import { process as baseProcess } from "../../object/process/process.js";
-function processAction(action, options) {
+import { get } from "../../object/member/deep/deep.js";
+import { Diagnostics, elementPath } from "../diagnostics/diagnostics.js";
+import { addDisposer, descendants, dispose } from "../lifecycle/lifecycle.js";
+/**
+ * Maps component names to loaders (such as `() => import('./x.js')`). Used
+ * (as `options.registry`) by {@link process} to resolve components that are
+ * not in the process map. The loaded component is the module's default
+ * export, the export with the component's name or else the module itself.
+ *
+ * Concurrent loads of the same component share a single call of its
+ * loader. Elements are processed with the component once it is loaded.
+ * Await {@link ComponentRegistry#ready} to know when that is done.
+ *
+ * @example
+ * import { process, ComponentRegistry } from 'deleight/dom/process';
+ * const registry = new ComponentRegistry({
+ *     chart: () => import('./components/chart.js'),
+ *     editor: () => import('./components/editor.js')
+ * });
+ * process(document.body, {}, { registry });
+ * await registry.ready();    // all the charts and editors are set up
+ */
+export class ComponentRegistry {
+    #loads;
+    #pending;
+    #errors;
+    constructor(loaders) {
+        /**
+         * The loaded components.
+         */
+        this.components = {};
+        this.#loads = new Map();
+        this.#pending = new Set();
+        this.#errors = [];
+        this.loaders = { ...loaders };
+    }
+    /**
+     * Adds a loader for the named component.
+     *
+     * @param name
+     * @param loader
+     * @returns
+     */
+    register(name, loader) {
+        this.loaders[name] = loader;
+        return this;
+    }
+    /**
+     * Whether the component has been loaded or has a loader.
+     *
+     * @param name
+     * @returns
+     */
+    has(name) {
+        return Reflect.has(this.components, name) || Reflect.has(this.loaders, name);
+    }
+    /**
+     * Loads the named component (once).
+     *
+     * @param name
+     * @returns
+     */
+    load(name) {
+        if (Reflect.has(this.components, name))
+            return Promise.resolve(this.components[name]);
+        if (!this.#loads.has(name)) {
+            if (!Reflect.has(this.loaders, name)) {
+                return Promise.reject(new Error(`The component: ${name} could not be found in the registry.`));
+            }
+            this.#loads.set(name, this.loaders[name]().then(module => {
+                this.#loads.delete(name);
+                return this.components[name] = module?.default ?? module?.[name] ?? module;
+            }, e => {
+                this.#loads.delete(name);
+                throw new Error(`The component: ${name} could not be loaded: ${e.message}`, { cause: e });
+            }));
+        }
+        return this.#loads.get(name);
+    }
+    /**
+     * Calls the callback with the named component once it is loaded.
+     * {@link ComponentRegistry#ready} waits for the callback to complete.
+     *
+     * @param name
+     * @param callback
+     */
+    use(name, callback) {
+        const task = this.load(name).then(callback).then(() => { this.#pending.delete(task); }, e => { this.#pending.delete(task); this.#errors.push(e); });
+        this.#pending.add(task);
+    }
+    /**
+     * Returns a promise which resolves when all the pending loads (and
+     * the processing waiting on them) are complete. It rejects with the
+     * error (or an AggregateError of the errors) raised since the last call.
+     */
+    async ready() {
+        while (this.#pending.size)
+            await Promise.all(this.#pending);
+        const errors = this.#errors.splice(0);
+        if (errors.length === 1)
+            throw errors[0];
+        else if (errors.length)
+            throw new AggregateError(errors, `${errors.length} components could not be loaded or run.`);
+    }
+}
+/**
+ * Parses the component attribute into an {@link IDirective}. Errors from
+ * resolving the value name the element and the attribute.
+ *
+ * @example
+ * import { parseDirective } from 'deleight/dom/process'
+ * document.body.innerHTML = `<p c-bind:title="user.name">Hi</p>`;
+ * const attr = document.querySelector('p').getAttributeNode('c-bind:title');
+ * parseDirective(attr, { scope: { user: { name: 'Ama' } } });
+ * // { name: 'bind', arg: 'title', modifiers: {}, value: 'Ama', path: ['user', 'name'] }
+ *
+ * @param attr
+ * @param options
+ * @returns
+ */
+export function parseDirective(attr, options) {
+    const prefix = options?.prefix || 'c-', openPrefix = options?.openPrefix || 'o-';
+    const rest = attr.name.slice((attr.name.startsWith(prefix) ? prefix : openPrefix).length);
+    const [nameArg, ...modifierList] = rest.split('.');
+    const colon = nameArg.indexOf(':');
+    const modifiers = {};
+    for (let modifier of modifierList)
+        modifiers[modifier] = true;
+    const path = attr.value.trim() ? attr.value.trim().split('.') : [];
+    const result = {
+        name: (colon < 0) ? nameArg : nameArg.slice(0, colon),
+        modifiers, path, value: attr.value
+    };
+    if (colon >= 0)
+        result.arg = nameArg.slice(colon + 1);
+    if (options?.scope) {
+        try {
+            result.value = path.length ? get(options.scope, path) : undefined;
+        }
+        catch (e) {
+            throw new Error(`Could not resolve "${attr.value}" ${location(attr)}: ${e.message}`, { cause: e });
+        }
+    }
+    return result;
+}
+function location(attr) {
+    const element = attr.ownerElement;
+    let name = element ? element.tagName.toLowerCase() : 'an unattached element';
+    if (element?.id)
+        name += `#${element.id}`;
+    return `in the attribute ${attr.name} of <${name}>`;
+}
+const defaultTracker = {
+    has: () => false,
+    add: (element, attr, result) => addDisposer(element, result)
+};
+function isComponentAttr(name, options) {
+    return name.startsWith(options?.prefix || 'c-') || name.startsWith(options?.openPrefix || 'o-');
+}
+function runComponent(element, attr, action, options, tracker) {
+    const registry = options?.registry, diagnostics = options?.diagnostics;
+    let directive;
+    try {
+        directive = parseDirective(attr, options);
+    }
+    catch (error) {
+        if (!diagnostics)
+            throw error;
+        diagnostics.failures.push({ key: attr.name, element: elementPath(element), error });
+        return;
+    }
+    if (Reflect.has(action, directive.name)) {
+        applyComponent(element, attr, directive, action[directive.name], options, tracker);
+    }
+    else if (registry?.has(directive.name)) {
+        if (Reflect.has(registry.components, directive.name)) {
+            applyComponent(element, attr, directive, registry.components[directive.name], options, tracker);
+        }
+        else {
+            registry.use(directive.name, value => applyComponent(element, attr, directive, value, options, tracker));
+        }
+    }
+    else if (diagnostics) {
+        diagnostics.missing.push({ name: directive.name, attribute: attr.name, element: elementPath(element) });
+    }
+    else {
+        console.error(`The component: ${directive.name} could not be found in the process map (${location(attr)}).`);
+    }
+}
+function applyComponent(element, attr, directive, value, options, tracker) {
+    if (value instanceof Function) {
+        if (tracker.has(element, attr))
+            return;
+        const diagnostics = options?.diagnostics;
+        if (diagnostics)
+            diagnostics.count(directive.name);
+        let result;
+        try {
+            result = value(element, attr, ...(options?.args || []), directive);
+        }
+        catch (e) {
+            if (!diagnostics)
+                throw new Error(`The component: ${directive.name} failed ${location(attr)}: ${e.message}`, { cause: e });
+            diagnostics.failures.push({ key: directive.name, element: elementPath(element), error: e });
+            return;
+        }
+        tracker.add(element, attr, result);
+    }
+    else
+        processWith(element, value, options, tracker); // process with nested components
+}
+function processAction(action, options, tracker = defaultTracker) {
     return (elements, key) => {
         const currentElement = elements[key];
-        const prefix = options?.prefix || 'c-', openPrefix = options?.openPrefix || 'o-';
-        const length = prefix.length;
-        let name, value, isOpen = true;
+        const prefix = options?.prefix || 'c-';
+        let isOpen = true;
         if (action instanceof Function) {
-            action(currentElement);
+            if (!tracker.has(currentElement, null))
+                tracker.add(currentElement, null, action(currentElement));
         }
         else {
-            for (let attr of currentElement.attributes) {
-                if (attr.name.startsWith(prefix) || attr.name.startsWith(openPrefix)) {
-                    name = attr.name.slice(length);
+            for (let attr of Array.from(currentElement.attributes)) {
+                if (isComponentAttr(attr.name, options)) {
                     if (attr.name.startsWith(prefix))
                         isOpen = false;
-                    if (action instanceof Function) { // a catch-all component. 
-                        value = action;
-                    }
-                    else if (Reflect.has(action, name)) {
-                        value = action[name];
-                    }
-                    else {
-                        console.error(`The component: ${name} could not be found in the process map.`);
-                        continue;
-                    }
-                    if (value instanceof Function)
-                        value(currentElement, attr);
-                    else
-                        process(currentElement, value, options); // process with nested components
+                    runComponent(currentElement, attr, action, options, tracker);
                 }
             }
         }
@@ -72,6 +269,25 @@ function processAction(action, options) {
  * If `options.args` is provided, its items will form the
  * remaining arguments passed to the component.
  *
+ * The last argument is the attribute parsed as an {@link IDirective} (for
+ * attributes like `c-on:click.prevent="save"`), with its value resolved
+ * against `options.scope` if given.
+ *
+ * Errors thrown by components (or from resolving their values) are rethrown
+ * with messages naming the element and the attribute.
+ *
+ * Components not found in the map are resolved (and lazily loaded) with
+ * `options.registry` if given (see {@link ComponentRegistry}).
+ *
+ * If `options.diagnostics` is given, missing components, component
+ * exceptions (which no longer stop the processing) and run counts are
+ * recorded in it instead of being logged or thrown. If `options.strict`
+ * is truthy, an AggregateError is thrown after processing if there were
+ * any problems. Components loaded later by the registry are not included.
+ *
+ * Functions returned by components are registered as disposers of the
+ * element (with `addDisposer`) so they run when the tree is disposed.
+ *
  * Two other options (options.open and options.closed) are available to overide the
  * default attributes (ope-n and close-d) used to encapsulate components in the
  * markup.
@@ -108,6 +324,21 @@ function processAction(action, options) {
  * const data = { a: '100px', b: 2, c: 3 };
  * process(document.body, comps, { args: [data] });
  *
+ * @example
+ * import { process } from 'deleight/dom/process';
+ * const comps = {
+ *     on: (element, attr, { arg, modifiers, value }) => element.addEventListener(arg, (e) => {
+ *         if (modifiers.prevent) e.preventDefault();
+ *         value(e);
+ *     }, { once: modifiers.once }),
+ *     bind: (element, attr, { arg, value }) => element.setAttribute(arg, value)
+ * };
+ * document.body.innerHTML = `
+ *     <form o-on:submit.prevent="actions.save"><button c-bind:title="user.name">Save</button></form>
+ * `;
+ * const scope = { user: { name: 'Ama' }, actions: { save: (e) => console.log('saved') } };
+ * process(document.body, comps, { scope });
+ *
  *
  * @param element
  * @param action
@@ -115,9 +346,136 @@ function processAction(action, options) {
  * @returns
  */
 export function process(element, action, options) {
+    if (options?.strict && !options.diagnostics)
+        options = { ...options, diagnostics: new Diagnostics() };
+    const result = processWith(element, action, options, defaultTracker);
+    if (options?.strict)
+        options.diagnostics.check();
+    return result;
+}
+function processWith(element, action, options, tracker) {
     if (element instanceof DocumentFragment) {
         for (let child of element.children)
-            process(child, action, options);
+            processWith(child, action, options, tracker);
     }
-    return baseProcess(element.children, processAction(action, options), ...(options?.args || []));
+    return baseProcess(element.children, processAction(action, options, tracker), ...(options?.args || []));
+}
+/**
+ * Similar to {@link process} but keeps watching the element (with a
+ * MutationObserver) to run the components for:
+ *
+ * 1. new elements inserted within the element (unless they are within
+ * elements whose descendants are not processed).
+ *
+ * 2. new component attributes added to elements within the element.
+ *
+ * A component is torn down (its returned disposer is called) when its
+ * attribute is removed, and run again (after tearing down) when the
+ * attribute's value changes. Elements removed from the element are
+ * disposed (with `dispose`).
+ *
+ * Returns a handle for stopping the observation.
+ *
+ * @example
+ * import { processLive } from 'deleight/dom/process'
+ * const comps = {
+ *     tooltip: (element, attr) => {
+ *         const tip = () => console.log(attr.value);
+ *         element.addEventListener('mouseenter', tip);
+ *         return () => element.removeEventListener('mouseenter', tip);
+ *     }
+ * };
+ * const handle = processLive(document.body, comps);
+ * const html = await fetch('/fragment').then(r => r.text());
+ * document.body.insertAdjacentHTML('beforeend', html);     // tooltips in the html are activated
+ * handle.stop();
+ *
+ * @param element
+ * @param action
+ * @param options
+ * @returns
+ */
+export function processLive(element, action, options) {
+    const records = new WeakMap();
+    const tracker = {
+        has: (el, attr) => records.get(el)?.has(attr?.name || '') || false,
+        add(el, attr, result) {
+            let disposed = false;
+            const once = () => {
+                if (!disposed && result instanceof Function)
+                    result();
+                disposed = true;
+            };
+            if (!records.has(el))
+                records.set(el, new Map());
+            records.get(el).set(attr?.name || '', { value: attr?.value, dispose: once });
+            addDisposer(el, once);
+        }
+    };
+    const teardown = (el, name) => {
+        const record = records.get(el)?.get(name);
+        if (record) {
+            records.get(el).delete(name);
+            record.dispose();
+        }
+    };
+    const reachable = (el) => {
+        const prefix = options?.prefix || 'c-';
+        if (options?.only && !el.matches(options.only))
+            return false;
+        for (let parent = el.parentNode; parent && parent !== element; parent = parent.parentNode) {
+            if (!(parent instanceof Element))
+                continue;
+            if (parent.hasAttribute(options?.closed || 'close-d'))
+                return false;
+            if (!parent.hasAttribute(options?.open || 'ope-n') &&
+                Array.from(parent.attributes).some(attr => attr.name.startsWith(prefix)))
+                return false;
+        }
+        return true;
+    };
+    const handle = (mutations) => {
+        const added = new Set(), changed = new Map();
+        for (let mutation of mutations) {
+            if (mutation.type === 'attributes') {
+                if (!isComponentAttr(mutation.attributeName, options) || action instanceof Function)
+                    continue;
+                const el = mutation.target;
+                if (!changed.has(el))
+                    changed.set(el, new Set());
+                changed.get(el).add(mutation.attributeName);
+                continue;
+            }
+            for (let node of mutation.removedNodes) {
+                if (node instanceof Element && !element.contains(node)) {
+                    for (let el of descendants(node))
+                        records.delete(el);
+                    dispose(node);
+                }
+            }
+            for (let node of mutation.addedNodes)
+                if (node instanceof Element)
+                    added.add(node);
+        }
+        for (let [el, names] of changed) {
+            if (!element.contains(el))
+                continue;
+            for (let name of names) {
+                const attr = el.getAttributeNode(name), record = records.get(el)?.get(name);
+                if (record && record.value !== attr?.value)
+                    teardown(el, name);
+                if (attr && reachable(el))
+                    runComponent(el, attr, action, options, tracker);
+            }
+        }
+        for (let node of added) {
+            if (element.contains(node) && reachable(node)) {
+                baseProcess([node], processAction(action, options, tracker), ...(options?.args || []));
+            }
+        }
+    };
+    const observer = new MutationObserver(handle);
+    processWith(element, action, options, tracker);
+    observer.observe(element, { childList: true, subtree: true, attributes: true });
+    return { update: () => handle(observer.takeRecords()), stop: () => observer.disconnect() };
 }
@@ -1,6 +1,8 @@
-import { describe, it } from "node:test";
+import { describe, it, before } from "node:test";
 import { strict as assert } from "node:assert";
-import { process } from "./process.js";
+import { process, processLive, parseDirective, ComponentRegistry } from "./process.js";
+import { dispose } from "../lifecycle/lifecycle.js";
+import { Diagnostics } from "../diagnostics/diagnostics.js";
 import { JSDOM } from "jsdom";
 
 describe("processElement", () => {
@@ -148,5 +150,210 @@ describe("processElement", () => {
         assert.equal(comps[0], 'DIV');
     });
 
+    it("Should register the disposers returned by components", (t) => {
+        body.innerHTML = `
+    <div>I am not a component</div>
+    <p c-comp>I am a component</p>
+    `;
+        const disposed = [];
+        process(body, { comp: (node) => () => disposed.push(node.tagName) });
+        assert.deepEqual(disposed, []);
+        dispose(body);
+        assert.deepEqual(disposed, ['P']);
+    });
+
+    it("Should pass parsed directives to components", (t) => {
+        body.innerHTML = `
+    <form o-on:submit.prevent.once="actions.save">
+        <button c-bind:title="user.name">Save</button>
+        <p c-text="raw text"></p>
+    </form>
+    `;
+        const directives = [];
+        const record = (node, attr, extra, directive) => directives.push([node.tagName, directive, extra]);
+        const save = () => {};
+        process(body, { on: record, bind: record }, { scope: { user: { name: 'Ama' }, actions: { save } }, args: [1] });
+        process(body.querySelector('form'), { text: (node, attr, directive) => record(node, attr, undefined, directive) });
+        assert.deepEqual(directives, [
+            ['FORM', { name: 'on', arg: 'submit', modifiers: { prevent: true, once: true }, value: save, path: ['actions', 'save'] }, 1],
+            ['BUTTON', { name: 'bind', arg: 'title', modifiers: {}, value: 'Ama', path: ['user', 'name'] }, 1],
+            ['P', { name: 'text', modifiers: {}, value: 'raw text', path: ['raw text'] }, undefined]
+        ]);
+    });
+
+    it("Should name the element and attribute in errors", (t) => {
+        body.innerHTML = `<p id="greeting" c-bind:title="user.profile.name"></p><p id="other" c-fail></p>`;
+        const attr = body.firstElementChild.getAttributeNode('c-bind:title');
+        assert.throws(() => parseDirective(attr, { scope: {} }), 
+            /^Error: Could not resolve "user.profile.name" in the attribute c-bind:title of <p#greeting>/);
+        assert.throws(() => process(body, { bind: () => {}, fail: () => { throw new Error('Oops') } }), 
+            /^Error: The component: fail failed in the attribute c-fail of <p#other>: Oops/);
+    });
+
+});
+
+describe("processLive", () => {
+    const window = new JSDOM(`<!DOCTYPE html><body></body>`).window;
+    const document = window.document;
+    const body = document.body;
+    const tick = () => new Promise(r => setTimeout(r));
+
+    before(() => {
+        global.document = document;
+        global.Element = window.Element;
+        global.DocumentFragment = window.DocumentFragment;
+        global.MutationObserver = window.MutationObserver;
+    });
+
+    const tracking = (calls) => ({
+        comp: (node, attr) => {
+            const value = attr.value;
+            calls.push(`+${node.id}:${value}`);
+            return () => calls.push(`-${node.id}:${value}`);
+        }
+    });
+
+    it("Should process inserted elements", async (t) => {
+        body.innerHTML = `<main><p id="a" c-comp="1">Initial</p></main>`;
+        const calls = [], main = body.firstElementChild;
+        const handle = processLive(main, tracking(calls));
+        assert.deepEqual(calls, ['+a:1']);
+
+        main.insertAdjacentHTML('beforeend', `<section id="b" o-comp="2"><p id="c" c-comp="3"><span id="d" c-comp="4"></span></p></section>`);
+        await tick();
+        assert.deepEqual(calls, ['+a:1', '+b:2', '+c:3']);
+
+        main.querySelector('#c').append(Object.assign(document.createElement('i'), { id: 'e' }));
+        main.querySelector('#e').setAttribute('c-comp', '5');   // within a closed component
+        main.append(main.firstElementChild);     // moved
+        await tick();
+        assert.deepEqual(calls, ['+a:1', '+b:2', '+c:3']);
+        handle.stop();
+    });
+
+    it("Should process added attributes and tear down removed ones", async (t) => {
+        body.innerHTML = `<main><p id="a">Initial</p></main>`;
+        const calls = [], main = body.firstElementChild;
+        const handle = processLive(main, tracking(calls));
+        const p = main.firstElementChild;
+        p.setAttribute('c-comp', '1');
+        await tick();
+        assert.deepEqual(calls, ['+a:1']);
+        p.setAttribute('c-comp', '2');
+        handle.update();
+        assert.deepEqual(calls, ['+a:1', '-a:1', '+a:2']);
+        p.removeAttribute('c-comp');
+        p.setAttribute('data-other', '');
+        await tick();
+        assert.deepEqual(calls, ['+a:1', '-a:1', '+a:2', '-a:2']);
+        handle.stop();
+    });
+
+    it("Should dispose removed elements", async (t) => {
+        body.innerHTML = `<main><div><p id="a" c-comp="1"></p></div></main>`;
+        const calls = [], main = body.firstElementChild;
+        const handle = processLive(main, tracking(calls));
+        const div = main.firstElementChild;
+        div.remove();
+        await tick();
+        assert.deepEqual(calls, ['+a:1', '-a:1']);
+        main.append(div);
+        await tick();
+        assert.deepEqual(calls, ['+a:1', '-a:1', '+a:1']);
+        handle.stop();
+        div.remove();
+        await tick();
+        assert.deepEqual(calls, ['+a:1', '-a:1', '+a:1']);
+    });
+});
+
+describe("ComponentRegistry", () => {
+    const window = new JSDOM(`<!DOCTYPE html><body></body>`).window;
+    const document = window.document;
+    const body = document.body;
+
+    before(() => {
+        global.document = document;
+        global.Element = window.Element;
+        global.DocumentFragment = window.DocumentFragment;
+    });
+
+    it("Should load unknown components once and process the elements when they arrive", async (t) => {
+        body.innerHTML = `<p c-lazy="1"></p><p c-lazy="2"></p><p c-named="3"></p><p c-local="4"></p>`;
+        const loads = [], calls = [];
+        const registry = new ComponentRegistry({
+            lazy: async () => { loads.push('lazy'); return { default: (el, attr) => calls.push(`lazy${attr.value}`) } }
+        }).register('named', async () => { loads.push('named'); return { named: (el, attr) => calls.push(`named${attr.value}`) } });
+        process(body, { local: (el, attr) => calls.push(`local${attr.value}`) }, { registry });
+        assert.deepEqual(calls, ['local4']);
+        await registry.ready();
+        assert.deepEqual(loads, ['lazy', 'named']);
+        assert.deepEqual(calls, ['local4', 'lazy1', 'lazy2', 'named3']);
+
+        body.innerHTML = `<p c-lazy="5"></p>`;
+        process(body, {}, { registry });
+        assert.deepEqual(calls, ['local4', 'lazy1', 'lazy2', 'named3', 'lazy5']);
+        assert.deepEqual(loads, ['lazy', 'named']);
+    });
+
+    it("Should report loading and component errors from ready", async (t) => {
+        body.innerHTML = `<p id="a" c-broken></p><p id="b" c-failing></p>`;
+        const registry = new ComponentRegistry({
+            broken: () => Promise.reject(new Error('Not found')),
+            failing: async () => () => { throw new Error('Oops') }
+        });
+        process(body, {}, { registry });
+        await assert.rejects(registry.ready(), (e) => {
+            assert.ok(e instanceof AggregateError);
+            assert.deepEqual(e.errors.map(e => e.message), [
+                'The component: broken could not be loaded: Not found',
+                'The component: failing failed in the attribute c-failing of <p#b>: Oops'
+            ]);
+            return true;
+        });
+        await registry.ready();
+        await assert.rejects(registry.load('missing'), /The component: missing could not be found in the registry./);
+    });
 });
 
+
+describe("process diagnostics", () => {
+    const window = new JSDOM(`<!DOCTYPE html><body></body>`).window;
+    const document = window.document;
+    const body = document.body;
+
+    before(() => {
+        global.document = document;
+        global.Element = window.Element;
+        global.DocumentFragment = window.DocumentFragment;
+    });
+
+    it("Should record missing components, failures and counts", (t) => {
+        body.innerHTML = `<main id="app"><p c-ok></p><p c-ok c-bad></p><p c-gone></p></main>`;
+        const diagnostics = new Diagnostics();
+        const calls = [];
+        process(body, {
+            ok: (el) => calls.push(el.tagName),
+            bad: () => { throw new Error('Oops') }
+        }, { diagnostics });
+        assert.deepEqual(calls, ['P', 'P']);
+        assert.deepEqual(diagnostics.counts, { __proto__: null, ok: 2, bad: 1 });
+        assert.deepEqual(diagnostics.missing, [{ name: 'gone', attribute: 'c-gone', element: 'main#app > p:nth-child(3)' }]);
+        assert.equal(diagnostics.failures.length, 1);
+        assert.equal(diagnostics.failures[0].element, 'main#app > p:nth-child(2)');
+        assert.equal(diagnostics.failures[0].error.message, 'Oops');
+    });
+
+    it("Should throw an AggregateError in strict mode", (t) => {
+        body.innerHTML = `<p id="a" c-gone></p><p id="b" c-bad></p>`;
+        assert.throws(() => process(body, { bad: () => { throw new Error('Oops') } }, { strict: true }), (e) => {
+            assert.ok(e instanceof AggregateError);
+            assert.deepEqual(e.errors.map(e => e.message), [
+                'The component: gone could not be found (in the attribute c-gone of p#a).',
+                'The component: bad failed at p#b: Oops'
+            ]);
+            return true;
+        });
+        assert.doesNotThrow(() => process(body, { gone() {}, bad() {} }, { strict: true }));
+    });
+});
@@ -7,8 +7,11 @@
  */
 
 import { process as baseProcess } from "../../object/process/process.js";
+import { get } from "../../object/member/deep/deep.js";
 import { IMap } from "../../types.js";
 import { IComponent } from "../components/components.js";
+import { Diagnostics, elementPath } from "../diagnostics/diagnostics.js";
+import { addDisposer, descendants, dispose } from "../lifecycle/lifecycle.js";
 
 export type IProcessComponents = IMap<IComponent>;
 
@@ -26,32 +29,280 @@ export interface IProcessOptions {
      * Component run on all component elements
      */
     default?: IComponent
+    /**
+     * The object against which attribute values are resolved to 
+     * obtain directive values (see {@link IDirective}).
+     */
+    scope?: object;
+    /**
+     * Used to (lazily) load components whose names are not found in 
+     * the process map.
+     */
+    registry?: ComponentRegistry;
+    /**
+     * A report to fill with the missing components, component exceptions 
+     * and run counts.
+     */
+    diagnostics?: Diagnostics;
+    /**
+     * Throw an AggregateError after processing if any component was 
+     * missing or threw.
+     */
+    strict?: boolean;
+}
+
+/**
+ * A function which loads a component (or a module exporting it).
+ */
+export interface IComponentLoader {
+    (): Promise<any>
+}
+
+/**
+ * Maps component names to loaders (such as `() => import('./x.js')`). Used 
+ * (as `options.registry`) by {@link process} to resolve components that are 
+ * not in the process map. The loaded component is the module's default 
+ * export, the export with the component's name or else the module itself.
+ * 
+ * Concurrent loads of the same component share a single call of its 
+ * loader. Elements are processed with the component once it is loaded. 
+ * Await {@link ComponentRegistry#ready} to know when that is done.
+ * 
+ * @example
+ * import { process, ComponentRegistry } from 'deleight/dom/process';
+ * const registry = new ComponentRegistry({
+ *     chart: () => import('./components/chart.js'),
+ *     editor: () => import('./components/editor.js')
+ * });
+ * process(document.body, {}, { registry });
+ * await registry.ready();    // all the charts and editors are set up
+ */
+export class ComponentRegistry {
+    loaders: IMap<IComponentLoader>;
+    /**
+     * The loaded components.
+     */
+    components: IProcessComponents = {};
+    #loads = new Map<string, Promise<IComponent | IProcessComponents>>();
+    #pending = new Set<Promise<any>>();
+    #errors: any[] = [];
+
+    constructor(loaders?: IMap<IComponentLoader>) {
+        this.loaders = { ...loaders };
+    }
+    /**
+     * Adds a loader for the named component.
+     * 
+     * @param name 
+     * @param loader 
+     * @returns 
+     */
+    register(name: string, loader: IComponentLoader) {
+        this.loaders[name] = loader;
+        return this;
+    }
+    /**
+     * Whether the component has been loaded or has a loader.
+     * 
+     * @param name 
+     * @returns 
+     */
+    has(name: string) {
+        return Reflect.has(this.components, name) || Reflect.has(this.loaders, name);
+    }
+    /**
+     * Loads the named component (once).
+     * 
+     * @param name 
+     * @returns 
+     */
+    load(name: string): Promise<IComponent | IProcessComponents> {
+        if (Reflect.has(this.components, name)) return Promise.resolve(this.components[name]);
+        if (!this.#loads.has(name)) {
+            if (!Reflect.has(this.loaders, name)) {
+                return Promise.reject(new Error(`The component: ${name} could not be found in the registry.`));
+            }
+            this.#loads.set(name, this.loaders[name]().then(module => {
+                this.#loads.delete(name);
+                return this.components[name] = module?.default ?? module?.[name] ?? module;
+            }, e => {
+                this.#loads.delete(name);
+                throw new Error(`The component: ${name} could not be loaded: ${e.message}`, { cause: e });
+            }));
+        }
+        return this.#loads.get(name);
+    }
+    /**
+     * Calls the callback with the named component once it is loaded. 
+     * {@link ComponentRegistry#ready} waits for the callback to complete.
+     * 
+     * @param name 
+     * @param callback 
+     */
+    use(name: string, callback: (component: IComponent | IProcessComponents) => any) {
+        const task = this.load(name).then(callback).then(
+            () => { this.#pending.delete(task) }, 
+            e => { this.#pending.delete(task); this.#errors.push(e) }
+        );
+        this.#pending.add(task);
+    }
+    /**
+     * Returns a promise which resolves when all the pending loads (and 
+     * the processing waiting on them) are complete. It rejects with the 
+     * error (or an AggregateError of the errors) raised since the last call.
+     */
+    async ready() {
+        while (this.#pending.size) await Promise.all(this.#pending);
+        const errors = this.#errors.splice(0);
+        if (errors.length === 1) throw errors[0];
+        else if (errors.length) throw new AggregateError(errors, `${errors.length} components could not be loaded or run.`);
+    }
+}
+
+/**
+ * The parsed form of a component attribute, passed to components as 
+ * their last argument (after `options.args`). For `c-on:click.prevent.once="actions.save"`:
+ * 
+ * 1. `name` is 'on'
+ * 
+ * 2. `arg` is 'click'
+ * 
+ * 3. `modifiers` is `{ prevent: true, once: true }`
+ * 
+ * 4. `path` is `['actions', 'save']`
+ * 
+ * 5. `value` is `get(options.scope, path)` if a scope was given, 
+ * otherwise the raw attribute value ('actions.save').
+ */
+export interface IDirective {
+    name: string;
+    arg?: string;
+    modifiers: IMap<boolean>;
+    value: any;
+    path: string[];
+}
+
+/**
+ * Parses the component attribute into an {@link IDirective}. Errors from 
+ * resolving the value name the element and the attribute.
+ * 
+ * @example
+ * import { parseDirective } from 'deleight/dom/process'
+ * document.body.innerHTML = `<p c-bind:title="user.name">Hi</p>`;
+ * const attr = document.querySelector('p').getAttributeNode('c-bind:title');
+ * parseDirective(attr, { scope: { user: { name: 'Ama' } } });
+ * // { name: 'bind', arg: 'title', modifiers: {}, value: 'Ama', path: ['user', 'name'] }
+ * 
+ * @param attr 
+ * @param options 
+ * @returns 
+ */
+export function parseDirective(attr: Attr, options?: IProcessOptions): IDirective {
+    const prefix = options?.prefix || 'c-', openPrefix = options?.openPrefix || 'o-';
+    const rest = attr.name.slice((attr.name.startsWith(prefix)? prefix: openPrefix).length);
+    const [nameArg, ...modifierList] = rest.split('.');
+    const colon = nameArg.indexOf(':');
+    const modifiers: IMap<boolean> = {};
+    for (let modifier of modifierList) modifiers[modifier] = true;
+    const path = attr.value.trim()? attr.value.trim().split('.'): [];
+    const result: IDirective = {
+        name: (colon < 0)? nameArg: nameArg.slice(0, colon), 
+        modifiers, path, value: attr.value
+    };
+    if (colon >= 0) result.arg = nameArg.slice(colon + 1);
+    if (options?.scope) {
+        try {
+            result.value = path.length? get(options.scope, path): undefined;
+        } catch (e) {
+            throw new Error(`Could not resolve "${attr.value}" ${location(attr)}: ${e.message}`, { cause: e });
+        }
+    }
+    return result;
+}
+
+function location(attr: Attr) {
+    const element = attr.ownerElement;
+    let name = element? element.tagName.toLowerCase(): 'an unattached element';
+    if (element?.id) name += `#${element.id}`;
+    return `in the attribute ${attr.name} of <${name}>`;
+}
+
+/**
+ * Records the results of the components run by {@link processAction}.
+ */
+interface ITracker {
+    /**
+     * Whether the component for the attribute (or the catch-all component 
+     * when `attr` is null) has already run on the element.
+     */
+    has(element: Element, attr: Attr | null): boolean;
+    add(element: Element, attr: Attr | null, result: any): void;
+}
+
+const defaultTracker: ITracker = {
+    has: () => false,
+    add: (element, attr, result) => addDisposer(element, result)
+};
+
+function isComponentAttr(name: string, options: IProcessOptions) {
+    return name.startsWith(options?.prefix || 'c-') || name.startsWith(options?.openPrefix || 'o-');
 }
 
-function processAction(action: IComponent | IProcessComponents, options: IProcessOptions) {
-    return (elements: HTMLCollection, key: number) => {
+function runComponent(element: Element, attr: Attr, action: IProcessComponents, options: IProcessOptions, tracker: ITracker) {
+    const registry = options?.registry, diagnostics = options?.diagnostics;
+    let directive: IDirective;
+    try {
+        directive = parseDirective(attr, options);
+    } catch (error) {
+        if (!diagnostics) throw error;
+        diagnostics.failures.push({ key: attr.name, element: elementPath(element), error });
+        return;
+    }
+    if (Reflect.has(action, directive.name)) {
+        applyComponent(element, attr, directive, action[directive.name], options, tracker);
+    } else if (registry?.has(directive.name)) {
+        if (Reflect.has(registry.components, directive.name)) {
+            applyComponent(element, attr, directive, registry.components[directive.name], options, tracker);
+        } else {
+            registry.use(directive.name, value => applyComponent(element, attr, directive, value, options, tracker));
+        }
+    } else if (diagnostics) {
+        diagnostics.missing.push({ name: directive.name, attribute: attr.name, element: elementPath(element) });
+    } else {
+        console.error(`The component: ${directive.name} could not be found in the process map (${location(attr)}).`);
+    }
+}
+
+function applyComponent(element: Element, attr: Attr, directive: IDirective, value: IComponent | IProcessComponents, options: IProcessOptions, tracker: ITracker) {
+    if (value instanceof Function) {
+        if (tracker.has(element, attr)) return;
+        const diagnostics = options?.diagnostics;
+        if (diagnostics) diagnostics.count(directive.name);
+        let result: any;
+        try {
+            result = value(element, attr, ...(options?.args || []), directive);
+        } catch (e) {
+            if (!diagnostics) throw new Error(`The component: ${directive.name} failed ${location(attr)}: ${e.message}`, { cause: e });
+            diagnostics.failures.push({ key: directive.name, element: elementPath(element), error: e });
+            return;
+        }
+        tracker.add(element, attr, result);
+    } else processWith(element, value, options, tracker);  // process with nested components
+}
+
+function processAction(action: IComponent | IProcessComponents, options: IProcessOptions, tracker = defaultTracker) {
+    return (elements: ArrayLike<Element>, key: number) => {
         const currentElement = elements[key];
-        const prefix = options?.prefix || 'c-', openPrefix = options?.openPrefix || 'o-'
-        const length = prefix.length;
-        let name: string, value: Function | IProcessComponents, isOpen = true;
+        const prefix = options?.prefix || 'c-';
+        let isOpen = true;
             
         if (action instanceof Function) {
-            action(currentElement)
+            if (!tracker.has(currentElement, null)) tracker.add(currentElement, null, action(currentElement));
         } else {
-            for (let attr of (currentElement as Element).attributes) {
-                if (attr.name.startsWith(prefix) || attr.name.startsWith(openPrefix)) {
-                    name = attr.name.slice(length);
+            for (let attr of Array.from((currentElement as Element).attributes)) {
+                if (isComponentAttr(attr.name, options)) {
                     if (attr.name.startsWith(prefix)) isOpen = false;
-                    if (action instanceof Function) {  // a catch-all component. 
-                        value = action;
-                    } else if (Reflect.has(action, name)) {
-                        value = action[name];
-                    } else {
-                        console.error(`The component: ${name} could not be found in the process map.`);
-                        continue;
-                    }
-                    if (value instanceof Function) value(currentElement, attr);
-                    else process(currentElement, value, options);  // process with nested components
+                    runComponent(currentElement, attr, action, options, tracker);
                 }
             }
         }
@@ -89,6 +340,25 @@ function processAction(action: IComponent | IProcessComponents, options: IProces
  * If `options.args` is provided, its items will form the 
  * remaining arguments passed to the component.
  * 
+ * The last argument is the attribute parsed as an {@link IDirective} (for 
+ * attributes like `c-on:click.prevent="save"`), with its value resolved 
+ * against `options.scope` if given. 
+ * 
+ * Errors thrown by components (or from resolving their values) are rethrown 
+ * with messages naming the element and the attribute.
+ * 
+ * Components not found in the map are resolved (and lazily loaded) with 
+ * `options.registry` if given (see {@link ComponentRegistry}).
+ * 
+ * If `options.diagnostics` is given, missing components, component 
+ * exceptions (which no longer stop the processing) and run counts are 
+ * recorded in it instead of being logged or thrown. If `options.strict` 
+ * is truthy, an AggregateError is thrown after processing if there were 
+ * any problems. Components loaded later by the registry are not included.
+ * 
+ * Functions returned by components are registered as disposers of the 
+ * element (with `addDisposer`) so they run when the tree is disposed.
+ * 
  * Two other options (options.open and options.closed) are available to overide the 
  * default attributes (ope-n and close-d) used to encapsulate components in the 
  * markup. 
@@ -125,6 +395,21 @@ function processAction(action: IComponent | IProcessComponents, options: IProces
  * const data = { a: '100px', b: 2, c: 3 };
  * process(document.body, comps, { args: [data] });
  * 
+ * @example
+ * import { process } from 'deleight/dom/process';
+ * const comps = {
+ *     on: (element, attr, { arg, modifiers, value }) => element.addEventListener(arg, (e) => {
+ *         if (modifiers.prevent) e.preventDefault();
+ *         value(e);
+ *     }, { once: modifiers.once }),
+ *     bind: (element, attr, { arg, value }) => element.setAttribute(arg, value)
+ * };
+ * document.body.innerHTML = `
+ *     <form o-on:submit.prevent="actions.save"><button c-bind:title="user.name">Save</button></form>
+ * `;
+ * const scope = { user: { name: 'Ama' }, actions: { save: (e) => console.log('saved') } };
+ * process(document.body, comps, { scope });
+ * 
  * 
  * @param element 
  * @param action 
@@ -132,9 +417,141 @@ function processAction(action: IComponent | IProcessComponents, options: IProces
  * @returns 
  */
 export function process(element: Element | DocumentFragment, action: IComponent | IProcessComponents, options?: IProcessOptions) {
+    if (options?.strict && !options.diagnostics) options = { ...options, diagnostics: new Diagnostics() };
+    const result = processWith(element, action, options, defaultTracker);
+    if (options?.strict) options.diagnostics.check();
+    return result;
+}
+
+function processWith(element: Element | DocumentFragment, action: IComponent | IProcessComponents, options: IProcessOptions, tracker: ITracker) {
     if (element instanceof DocumentFragment) {
-        for (let child of element.children) process(child, action, options);
+        for (let child of element.children) processWith(child, action, options, tracker);
     }
-    return baseProcess(element.children, processAction(action, options), ...(options?.args || []));
+    return baseProcess(element.children, processAction(action, options, tracker), ...(options?.args || []));
+}
+
+/**
+ * The handle returned by {@link processLive}.
+ */
+export interface ILiveProcess {
+    /**
+     * Handles pending changes without waiting for the observer.
+     */
+    update(): void;
+    /**
+     * Stops observing the element.
+     */
+    stop(): void;
+}
+
+interface IAttrRecord {
+    value: string;
+    dispose: () => void;
+}
+
+/**
+ * Similar to {@link process} but keeps watching the element (with a 
+ * MutationObserver) to run the components for:
+ * 
+ * 1. new elements inserted within the element (unless they are within 
+ * elements whose descendants are not processed).
+ * 
+ * 2. new component attributes added to elements within the element.
+ * 
+ * A component is torn down (its returned disposer is called) when its 
+ * attribute is removed, and run again (after tearing down) when the 
+ * attribute's value changes. Elements removed from the element are 
+ * disposed (with `dispose`).
+ * 
+ * Returns a handle for stopping the observation.
+ * 
+ * @example
+ * import { processLive } from 'deleight/dom/process'
+ * const comps = {
+ *     tooltip: (element, attr) => {
+ *         const tip = () => console.log(attr.value);
+ *         element.addEventListener('mouseenter', tip);
+ *         return () => element.removeEventListener('mouseenter', tip);
+ *     }
+ * };
+ * const handle = processLive(document.body, comps);
+ * const html = await fetch('/fragment').then(r => r.text());
+ * document.body.insertAdjacentHTML('beforeend', html);     // tooltips in the html are activated
+ * handle.stop();
+ * 
+ * @param element 
+ * @param action 
+ * @param options 
+ * @returns 
+ */
+export function processLive(element: Element | DocumentFragment, action: IComponent | IProcessComponents, options?: IProcessOptions): ILiveProcess {
+    const records = new WeakMap<Element, Map<string, IAttrRecord>>();
+    const tracker: ITracker = {
+        has: (el, attr) => records.get(el)?.has(attr?.name || '') || false,
+        add(el, attr, result) {
+            let disposed = false;
+            const once = () => {
+                if (!disposed && result instanceof Function) result();
+                disposed = true;
+            };
+            if (!records.has(el)) records.set(el, new Map());
+            records.get(el).set(attr?.name || '', { value: attr?.value, dispose: once });
+            addDisposer(el, once);
+        }
+    };
+    const teardown = (el: Element, name: string) => {
+        const record = records.get(el)?.get(name);
+        if (record) {
+            records.get(el).delete(name);
+            record.dispose();
+        }
+    };
+    const reachable = (el: Element) => {
+        const prefix = options?.prefix || 'c-';
+        if (options?.only && !el.matches(options.only)) return false;
+        for (let parent = el.parentNode; parent && parent !== element; parent = parent.parentNode) {
+            if (!(parent instanceof Element)) continue;
+            if (parent.hasAttribute(options?.closed || 'close-d')) return false;
+            if (!parent.hasAttribute(options?.open || 'ope-n') && 
+            Array.from(parent.attributes).some(attr => attr.name.startsWith(prefix))) return false;
+        }
+        return true;
+    };
+    const handle = (mutations: MutationRecord[]) => {
+        const added = new Set<Element>(), changed = new Map<Element, Set<string>>();
+        for (let mutation of mutations) {
+            if (mutation.type === 'attributes') {
+                if (!isComponentAttr(mutation.attributeName, options) || action instanceof Function) continue;
+                const el = mutation.target as Element;
+                if (!changed.has(el)) changed.set(el, new Set());
+                changed.get(el).add(mutation.attributeName);
+                continue;
+            }
+            for (let node of mutation.removedNodes) {
+                if (node instanceof Element && !element.contains(node)) {
+                    for (let el of descendants(node)) records.delete(el);
+                    dispose(node);
+                }
+            }
+            for (let node of mutation.addedNodes) if (node instanceof Element) added.add(node);
+        }
+        for (let [el, names] of changed) {
+            if (!element.contains(el)) continue;
+            for (let name of names) {
+                const attr = el.getAttributeNode(name), record = records.get(el)?.get(name);
+                if (record && record.value !== attr?.value) teardown(el, name);
+                if (attr && reachable(el)) runComponent(el, attr, action as IProcessComponents, options, tracker);
+            }
+        }
+        for (let node of added) {
+            if (element.contains(node) && reachable(node)) {
+                baseProcess([node], processAction(action, options, tracker), ...(options?.args || []));
+            }
+        }
+    };
+    const observer = new MutationObserver(handle);
+    processWith(element, action, options, tracker);
+    observer.observe(element, { childList: true, subtree: true, attributes: true });
+    return { update: () => handle(observer.takeRecords()), stop: () => observer.disconnect() };
 }
 
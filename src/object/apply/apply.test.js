@@ -2,7 +2,7 @@
 
 import { describe, it } from 'node:test'
 import { strict as assert } from 'node:assert'
-import { apply } from './apply.js'
+import { apply, inverse, invertible } from './apply.js'
 
 describe('apply', async t1 => {
     await it('Should apply object actions to a target', async t2 => {
@@ -10,4 +10,21 @@ describe('apply', async t1 => {
         apply({ a: (t, k) => (t[k] = 1) && undefined, b: (t, k) => (t[k] = 2) && undefined, c: (t, k) => (t[k] = 3) && undefined}, target);
         assert.deepEqual(target, { a: 1, b: 2, c: 3 });
     })
+
+    await it('Should return a handle that undoes the recorded inverses', async t2 => {
+        const target = { a: 1, b: 2, c: { d: 4 } };
+        const double = (t, k) => {
+            const old = t[k];
+            t[k] *= 2;
+            return inverse(() => t[k] = old);
+        };
+        const inc = invertible((t, k, by) => { t[k] += by }, (t, k, by) => { t[k] -= by });
+        const handle = apply({ a: [double, inc], c: { d: double }, b: inc }, target, { args: [10] });
+        assert.equal(handle.target, target);
+        assert.deepEqual(target, { a: 12, b: 12, c: { d: 8 } });
+        handle.undo();
+        assert.deepEqual(target, { a: 1, b: 2, c: { d: 4 } });
+        handle.undo();
+        assert.deepEqual(target, { a: 1, b: 2, c: { d: 4 } });
+    })
 });
@@ -30,6 +30,79 @@ export interface IApplyOptions<T extends any[] = any[]> {
     args?: T;
 }
 
+/**
+ * The handle returned by {@link apply}.
+ */
+export interface IApplyHandle<T> {
+    /**
+     * The target the actions were applied to.
+     */
+    target: T;
+    /**
+     * Calls the inverses recorded while applying the actions (in reverse 
+     * order). Calling it again does nothing.
+     */
+    undo(): void;
+}
+
+/**
+ * Returned by an action (instead of a next target) to record a function 
+ * that reverses what the action did. See {@link inverse}.
+ */
+export class Inverse {
+    value: Function;
+    constructor(value: Function) {
+        this.value = value;
+    }
+}
+
+/**
+ * Returns a value which an action can return so that {@link apply} records 
+ * the function as its inverse (called by the `undo` method of the returned handle).
+ * 
+ * @example
+ * import { apply, inverse } from 'deleight/object/apply'
+ * const object = { a: 1 };
+ * const double = (obj, key) => {
+ *     const old = obj[key];
+ *     obj[key] *= 2;
+ *     return inverse(() => obj[key] = old);
+ * }
+ * const handle = apply({ a: double }, object);   // object.a === 2
+ * handle.undo();                                 // object.a === 1
+ * 
+ * @param value 
+ * @returns 
+ */
+export function inverse(value: Function) {
+    return new Inverse(value);
+}
+
+const inverses = new WeakMap<Function, Function>();
+
+/**
+ * Pairs an action with its reverse (like `reversible` in the function module) 
+ * so that {@link apply} records a call of the reverse with the same 
+ * arguments (target, key and extra args) whenever it calls the action. 
+ * Returns the paired action.
+ * 
+ * @example
+ * import { apply, invertible } from 'deleight/object/apply'
+ * const object = { a: 1, b: 2 };
+ * const inc = invertible((obj, key) => { obj[key]++ }, (obj, key) => { obj[key]-- });
+ * const handle = apply({ a: inc, b: inc }, object);   // object is { a: 2, b: 3 }
+ * handle.undo();                                      // object is { a: 1, b: 2 }
+ * 
+ * @param action 
+ * @param reverse 
+ * @returns 
+ */
+export function invertible<T extends ICallable>(action: T, reverse: ICallable) {
+    const result = ((...args: any[]) => action(...args)) as T;
+    inverses.set(result, reverse);
+    return result;
+}
+
 /**
  * Performs the actions given as object property values with the specified target and 
  * the corresponding property key. If an action returns a value, the value will 
@@ -50,6 +123,10 @@ export interface IApplyOptions<T extends any[] = any[]> {
  * Extra arguments to the actions may also be supplied (as the `args` property 
  * of the `options` argument). This can help to reuse the same functions needed 
  * when implementing other functions that use Apply in their operations.
+ * 
+ * Returns a handle whose `undo` method reverses every action which recorded 
+ * an inverse, either by returning one (see {@link inverse}) or by being 
+ * paired with one (see {@link invertible}).
  *  
  * @example
  * import { apply } from 'deleight/object/apply'
@@ -67,7 +144,18 @@ export interface IApplyOptions<T extends any[] = any[]> {
  * 
  * @returns 
  */
-export function apply<T, U extends any[] = any[]>(actions: IActions, target: T, options?: IApplyOptions<U>) {
+export function apply<T, U extends any[] = any[]>(actions: IActions, target: T, options?: IApplyOptions<U>): IApplyHandle<T> {
+    const undos: Function[] = [];
+    applyActions(actions, target, options, undos);
+    return {
+        target, 
+        undo() {
+            for (let undo of undos.splice(0).reverse()) undo();
+        }
+    };
+}
+
+function applyActions<T, U extends any[] = any[]>(actions: IActions, target: T, options: IApplyOptions<U>, undos: Function[]) {
     let nextTarget: any, keyActions: IAction | Iterable<IAction>, 
     keyActionsIt: Iterable<IAction>, action: IAction;
 
@@ -80,7 +168,12 @@ export function apply<T, U extends any[] = any[]>(actions: IActions, target: T,
         for (action of keyActionsIt) {
             if (action instanceof Function) {
                 nextTarget = action(target, key, ...args);
-                if (nextTarget !== undefined) apply(actions, nextTarget, options);
+                if (inverses.has(action)) {
+                    const reverse = inverses.get(action);
+                    undos.push(() => reverse(target, key, ...args));
+                }
+                if (nextTarget instanceof Inverse) undos.push(nextTarget.value);
+                else if (nextTarget !== undefined) applyActions(actions, nextTarget, options, undos);
             } else if (typeof action === 'object') {
                 if (getter instanceof Function) {
                     nextTarget = getter(target, key);
@@ -89,11 +182,10 @@ export function apply<T, U extends any[] = any[]>(actions: IActions, target: T,
                 } else{
                     nextTarget = undefined;
                 }
-                if (nextTarget !== undefined) apply(action, nextTarget, options);
+                if (nextTarget !== undefined) applyActions(action, nextTarget, options, undos);
             } else {
     
             }
         }
     }
-    return target;
 }
@@ -1,6 +1,81 @@
 /**
  * This creates 'template literal' functions from pre-existing text.
  */
+import { SafeHtml, raw } from "../dom/esc/esc.js";
+import { IMap } from "../types.js";
+/**
+ * The trusted markup marker of the esc module (also used by builders,
+ * where it is exported as `Raw`). {@link safeHtml} returns it and does
+ * not escape it again. Create instances for trusted markup with {@link raw}.
+ */
+export { SafeHtml, raw };
+/**
+ * Returns the value as escaped markup. {@link SafeHtml} values are
+ * returned as they are, `null` and `undefined` become empty strings and
+ * iterables (except strings) are flattened with each item escaped.
+ *
+ * @param value
+ * @returns
+ */
+export declare function escapeValue(value: any): string;
+/**
+ * A template tag which escapes every interpolated value
+ * (with {@link escapeValue}) and returns the result as {@link SafeHtml}.
+ * Use {@link raw} to interpolate trusted markup. Results of other calls
+ * are not escaped again, so they compose.
+ *
+ * @example
+ * import { safeHtml } from 'deleight/template';
+ * const items = ['<a>', 'b&c'];
+ * const list = safeHtml`<ul>${items.map(i => safeHtml`<li>${i}</li>`)}</ul>`;
+ * // list.html === '<ul><li>&lt;a&gt;</li><li>b&amp;c</li></ul>'
+ *
+ * @param strings
+ * @param expressions
+ * @returns
+ */
+export declare function safeHtml(strings: ArrayLike<string>, ...expressions: any[]): SafeHtml;
+/**
+ * Similar to {@link safeHtml} but resolves all interpolated promises
+ * (including those inside arrays) first, like {@link asyncTag}.
+ *
+ * @example
+ * import { safeHtmlAsync } from 'deleight/template';
+ * const t = await safeHtmlAsync`<p>${Promise.resolve('<wait>')}</p>`;
+ * // t.html === '<p>&lt;wait&gt;</p>'
+ *
+ * @param strings
+ * @param expressions
+ * @returns
+ */
+export declare function safeHtmlAsync(strings: ArrayLike<string>, ...expressions: any[]): Promise<SafeHtml>;
+/**
+ * Options for the template compilers.
+ */
+export interface ITemplateOptions {
+    /**
+     * Escape the interpolated values with the rules of {@link safeHtml}.
+     * The templates then return {@link SafeHtml}.
+     */
+    escape?: boolean;
+    /**
+     * The name of the tag function inside the template string when
+     * `escape` is truthy. Change it if the default name (T) is used by an
+     * argument.
+     */
+    tagName?: string;
+    /**
+     * Compile the template with {@link compileTemplate} instead of
+     * `Function`, for pages with a Content-Security-Policy that does not
+     * allow `unsafe-eval`. Only the restricted expression language of
+     * {@link compileTemplate} can be used in the template string.
+     */
+    csp?: boolean;
+}
+/**
+ * The options for the async template compilers.
+ */
+export type IAsyncTemplateOptions = Pick<ITemplateOptions, 'csp'>;
 /**
  * A template tag that will resolve only after all
  * interpolated promises have been resolved, finally returning the
@@ -25,12 +100,22 @@ export declare function asyncTag(strings: Array<string>, ...expressions: any[]):
  * const t = template('I will render this ${arg} immediately!!!')('guy');
  * // t === 'I will render this guy immediately!!!'
  *
+ * const e = template('<p>${arg}</p>', ['arg'], { escape: true })('<b>');
+ * // e.html === '<p>&lt;b&gt;</p>'
+ *
  * @param {string} templateStr the template string
  * @param {string[]} argNames The names of the parameters of the returned function (which can be 'seen' inside the template string).
  * Defaults to: ['arg'].
+ * @param {ITemplateOptions} options Pass `{ escape: true }` to escape the interpolated values (see {@link safeHtml}).
+ * Pass `{ csp: true }` to compile without `Function` (see {@link compileTemplate}).
  * @returns {(...any): string}
  */
-export declare function template(templateStr: string, argNames?: string[]): (...args: any[]) => string;
+export declare function template(templateStr: string, argNames?: string[], options?: ITemplateOptions & {
+    escape?: false;
+}): (...args: any[]) => string;
+export declare function template(templateStr: string, argNames: string[] | undefined, options: ITemplateOptions & {
+    escape: true;
+}): (...args: any[]) => SafeHtml;
 /**
  * Similar to {@link template} but the built template is also 'promise-aware' and will allow them to
  * resolve to string values before interpolating them.
@@ -48,14 +133,15 @@ export declare function template(templateStr: string, argNames?: string[]): (...
  * Defaults to: ['arg'].
  * @param {string} tagName Supply a tagName argument to change the name of the tag function inside the template string if
  * the default name (T) is present in  argNames.
+ * @param {IAsyncTemplateOptions} options Pass `{ csp: true }` to compile without `Function` (see {@link compileTemplate}).
  * @returns {(...any): Promise<string>}
  */
-export declare function asyncTemplate(templateStr: string, argNames?: Array<string>, tagName?: string): (...args: any[]) => Promise<string>;
+export declare function asyncTemplate(templateStr: string, argNames?: Array<string>, tagName?: string, options?: IAsyncTemplateOptions): (...args: any[]) => Promise<string>;
 /**
  * The return value of a call to {@link templates}.
  */
-export interface ITemplates {
-    (arr: Iterable<any>, ...args: any[]): Iterable<string>;
+export interface ITemplates<T = string> {
+    (arr: Iterable<any>, ...args: any[]): Iterable<T>;
 }
 /**
  * The return value of a call to {@link asyncTemplates}.
@@ -78,9 +164,17 @@ export interface IAsyncTemplates {
  * inside the template string). Defauts to ['iter']
  * @param {string} itemName The name of the current item of the iterable as seen inside the template string. Defaults
  * to 'item'
+ * @param {ITemplateOptions} options Pass `{ escape: true }` to escape the interpolated values (see {@link safeHtml}).
+ * The returned function then yields {@link SafeHtml}. Pass `{ csp: true }` to compile without `Function`
+ * (see {@link compileTemplate}).
  * @returns {ITemplates}
  */
-export declare function templates(templateStr: string, argNames?: Array<string>, itemName?: string): ITemplates;
+export declare function templates(templateStr: string, argNames?: Array<string>, itemName?: string, options?: ITemplateOptions & {
+    escape?: false;
+}): ITemplates;
+export declare function templates(templateStr: string, argNames: Array<string> | undefined, itemName: string | undefined, options: ITemplateOptions & {
+    escape: true;
+}): ITemplates<SafeHtml>;
 /**
  * Async equivalent of {@link templates}. The async template tag ('T' by default)
  * is applied to the template string. Use this when there are promises
@@ -99,6 +193,248 @@ export declare function templates(templateStr: string, argNames?: Array<string>,
  * to 'item'
  * @param {string} tagName Supply a tagName argument to change the name of the tag function inside the template string if
  * the default name (T) is present in  argNames.
+ * @param {IAsyncTemplateOptions} options Pass `{ csp: true }` to compile without `Function` (see {@link compileTemplate}).
  * @returns {IAsyncTemplates}
  */
-export declare function asyncTemplates(templateStr: string, argNames?: Array<string>, itemName?: string, tagName?: string): IAsyncTemplates;
+export declare function asyncTemplates(templateStr: string, argNames?: Array<string>, itemName?: string, tagName?: string, options?: IAsyncTemplateOptions): IAsyncTemplates;
+/**
+ * Options for {@link streamTemplates}.
+ */
+export interface IStreamOptions extends IAsyncTemplateOptions {
+    /**
+     * The maximum number of items being rendered (or waiting to be
+     * yielded) at a time. Defaults to Infinity.
+     */
+    concurrency?: number;
+    /**
+     * Aborting the signal stops the rendering of new items and makes the
+     * iterator throw the abort reason.
+     */
+    signal?: AbortSignal;
+    /**
+     * The name of the async tag function inside the template string.
+     * Defaults to 'T'.
+     */
+    tagName?: string;
+}
+/**
+ * The return value of a call to {@link streamTemplates}.
+ */
+export interface IStreamTemplates {
+    (arr: Iterable<any> | AsyncIterable<any>, ...args: any[]): AsyncGenerator<string>;
+}
+/**
+ * Streaming form of {@link asyncTemplates}. The returned function returns
+ * an async iterator which yields the rendered items in their input order,
+ * each as soon as it and all the items before it are ready. At most
+ * `options.concurrency` items are rendered at a time, so the expressions
+ * of later items (such as calls fetching data) are only evaluated when
+ * there is room for them. The items may also come from an async iterable
+ * (like the pages of a paginated API).
+ *
+ * Aborting `options.signal` stops rendering, closes the items iterator and
+ * makes the returned iterator throw the abort reason. Breaking out of
+ * the loop also closes the items iterator.
+ *
+ * @example
+ * import { streamTemplates } from 'deleight/template';
+ * const controller = new AbortController();
+ * const rows = streamTemplates('<tr><td>${item.name}</td><td>${fetchTotal(item.id)}</td></tr>', ['items', 'fetchTotal'], 'item',
+ *     { concurrency: 4, signal: controller.signal });
+ * for await (let row of rows(users, fetchTotal)) tbody.insertAdjacentHTML('beforeend', row);
+ *
+ * @param templateStr The template string
+ * @param argNames The names of the parameters (starting with the iterable) of the returned function (which can be 'seen' inside the template string).
+ * Defaults to ['iter']
+ * @param itemName The name of the current item of the iterable as seen inside the template string. Defaults to 'item'
+ * @param options
+ * @returns
+ */
+export declare function streamTemplates(templateStr: string, argNames?: Array<string>, itemName?: string, options?: IStreamOptions): IStreamTemplates;
+/**
+ * Options for {@link fromTemplateElement}.
+ */
+export interface ITemplateElementOptions extends ITemplateOptions {
+    /**
+     * Return a DocumentFragment (created with `createFragment`) instead
+     * of the markup.
+     */
+    fragment?: boolean;
+}
+/**
+ * Compiles the content of a `<template>` element with the semantics of
+ * {@link template}, or of {@link templates} if the element has a
+ * `data-item` attribute (naming the item). The argument names are read
+ * from the (comma or space separated) `data-args` attribute. The items
+ * rendered by {@link templates} are joined.
+ *
+ * The returned function returns the markup, or a DocumentFragment if
+ * `options.fragment` is truthy. Characters which HTML escapes in the
+ * content (like `>` and `"`) may be used normally in the placeholders.
+ *
+ * @example
+ * import { fromTemplateElement } from 'deleight/template';
+ * document.body.innerHTML = `
+ * <template id="rows" data-args="rows, unit" data-item="row">
+ *     <tr><td>\${row.name}</td><td>\${row.size > 1000 ? row.size / 1000 + 'k' : row.size} \${unit}</td></tr>
+ * </template>`;
+ * const rows = fromTemplateElement(document.querySelector('#rows'), { fragment: true });
+ * document.querySelector('tbody').append(rows([{ name: 'a', size: 2000 }], 'B'));
+ *
+ * @param element
+ * @param options
+ * @returns
+ */
+export declare function fromTemplateElement(element: HTMLTemplateElement, options: ITemplateElementOptions & {
+    fragment: true;
+}): (...args: any[]) => DocumentFragment;
+export declare function fromTemplateElement(element: HTMLTemplateElement, options?: ITemplateElementOptions): (...args: any[]) => string | SafeHtml;
+/**
+ * Options for the {@link TemplateRegistry}.
+ */
+export interface ITemplateRegistryOptions extends ITemplateOptions {
+    /**
+     * The names of the arguments of the templates. Defaults to ['data'].
+     */
+    argNames?: string[];
+}
+/**
+ * A store of named templates which can include each other and extend
+ * layouts. The templates are compiled (like {@link template}) the first
+ * time they are rendered. Besides the arguments (`data` by default),
+ * these functions can be used inside the templates:
+ *
+ * - `include(name, ...args)` renders another template (with the current
+ * arguments if none are given).
+ * - `extend(name)` renders the named layout (with the same arguments)
+ * instead of the current template. Only the blocks of the current
+ * template are used by the layout.
+ * - `block(name, content)` returns the content of the named block, which
+ * is the first content given for the block. Because templates are
+ * evaluated before the layouts they extend, the blocks of templates
+ * override the same blocks in their layouts.
+ *
+ * Use the tag (`T` by default) for template literals nested inside the
+ * templates, so that they are also escaped (or awaited) by the tag.
+ *
+ * Templates can be registered from strings, from `<template id>` elements
+ * (with {@link TemplateRegistry#loadDocument}) or from files (with
+ * {@link TemplateRegistry#load}). Render them with
+ * {@link TemplateRegistry#render} or {@link TemplateRegistry#renderAsync}
+ * (which uses {@link asyncTag}).
+ *
+ * @example
+ * import { TemplateRegistry } from 'deleight/template';
+ * const registry = new TemplateRegistry({
+ *     layout: '<title>${block("title", "Site")}</title><main>${block("content")}</main>',
+ *     page: '${extend("layout")}${block("title", data.title)}${block("content", include("card", data.card))}',
+ *     card: '<p>${data.text}</p>'
+ * });
+ * registry.render('page', { title: 'Home', card: { text: 'Hi' } });
+ * // '<title>Home</title><main><p>Hi</p></main>'
+ */
+export declare class TemplateRegistry {
+    #private;
+    templates: IMap<string>;
+    options: ITemplateRegistryOptions;
+    constructor(templates?: IMap<string>, options?: ITemplateRegistryOptions);
+    /**
+     * Adds (or replaces) the named template.
+     *
+     * @param name
+     * @param templateStr
+     * @returns
+     */
+    register(name: string, templateStr: string): this;
+    /**
+     * Whether the template has been registered.
+     *
+     * @param name
+     * @returns
+     */
+    has(name: string): boolean;
+    /**
+     * Registers the `<template>` elements with ids in the root (the
+     * document by default), using the ids as the names.
+     *
+     * @param root
+     * @returns
+     */
+    loadDocument(root?: ParentNode): this;
+    /**
+     * Fetches the template text from the link and registers it with the name.
+     *
+     * @example
+     * await registry.load('card', '/templates/card.html');
+     *
+     * @param name
+     * @param href
+     * @param init
+     * @returns
+     */
+    load(name: string, href: string, init?: RequestInit): Promise<this>;
+    /**
+     * Renders the named template with the arguments. Returns
+     * {@link SafeHtml} if the registry was created with `escape: true`.
+     *
+     * @param name
+     * @param args
+     * @returns
+     */
+    render(name: string, ...args: any[]): string | SafeHtml;
+    /**
+     * Like {@link TemplateRegistry#render} but the interpolated promises
+     * are resolved first (like {@link asyncTag} or {@link safeHtmlAsync}).
+     *
+     * @param name
+     * @param args
+     * @returns
+     */
+    renderAsync(name: string, ...args: any[]): Promise<string | SafeHtml>;
+}
+/**
+ * A template string compiled by {@link compileTemplate}.
+ */
+export interface ICompiledTemplate {
+    /**
+     * The static parts of the template (one more than the expressions).
+     */
+    strings: string[];
+    /**
+     * The compiled expressions, evaluated against a scope object.
+     */
+    expressions: ((scope: object) => any)[];
+    /**
+     * Evaluates the expressions against the scope and passes the results
+     * (with the strings) to the tag. Without a tag, the results are
+     * joined with the strings like a template literal.
+     */
+    render<T = string>(scope: object, tag?: (strings: string[], ...values: any[]) => T): T;
+}
+/**
+ * Compiles the template string without `Function` or `eval`, so the
+ * result can be used under a Content-Security-Policy without
+ * `unsafe-eval`. This is what the template functions use when given
+ * the `csp` option.
+ *
+ * The placeholders (`${...}`) may contain a restricted expression
+ * language: names (looked up in the scope), property paths (with `.`,
+ * `?.` and `[]`), calls, string, number, boolean, `null`, `undefined`
+ * and array literals, the ternary operator, the unary operators
+ * `! - + typeof` and the binary operators
+ * `* / % + - < <= > >= == != === !== && || ??`. Names which are not
+ * in scope throw a `ReferenceError`, except as the operand of `typeof`.
+ * Assignments, arrow functions, `new` and nested template literals
+ * are not supported. The properties `constructor`, `prototype` and
+ * `__proto__` cannot be accessed.
+ *
+ * @example
+ * import { compileTemplate } from 'deleight/template';
+ * const t = compileTemplate('Hello ${user.name ?? "guest"}, you have ${items.length > 1 ? items.length + " items" : "an item"}.');
+ * t.render({ user: { name: 'Ama' }, items: [1, 2] });
+ * // 'Hello Ama, you have 2 items.'
+ *
+ * @param templateStr
+ * @returns
+ */
+export declare function compileTemplate(templateStr: string): ICompiledTemplate;
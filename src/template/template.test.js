@@ -1,6 +1,8 @@
-import { describe, it } from "node:test";
+import { describe, it, after } from "node:test";
 import { strict as assert } from "node:assert";
-import { asyncTag, template, templates, asyncTemplate, asyncTemplates } from "./template.js";
+import { asyncTag, template, templates, asyncTemplate, asyncTemplates, safeHtml, safeHtmlAsync, raw, SafeHtml, compileTemplate, TemplateRegistry, fromTemplateElement, streamTemplates } from "./template.js";
+import { JSDOM } from "jsdom";
+import { hh, raw as builderRaw, Raw } from "../dom/builder/builder.js";
 
 describe("asynTag", () => {
 const renderedMarkup = `
@@ -144,3 +146,230 @@ const renderedMarkup2 = `<article>This thing is my first blog post</article>&<ar
 });
 
 
+
+describe("safeHtml", () => {
+    it("Should escape the interpolated values except raw and safe ones", (t) => {
+        const item = (i) => safeHtml`<li title="${i}">${i}</li>`;
+        const list = safeHtml`<ul class="${'"a'}">${['<a>', 'b&c'].map(item)}${[['<x>'], null, undefined, 0]}${raw('<li>raw</li>')}</ul>`;
+        assert.ok(list instanceof SafeHtml);
+        assert.equal(list.html, '<ul class="&quot;a"><li title="&lt;a&gt;">&lt;a&gt;</li><li title="b&amp;c">b&amp;c</li>&lt;x&gt;0<li>raw</li></ul>');
+        assert.equal(`${safeHtml`<div>${list}</div>`}`, `<div>${list.html}</div>`);
+    });
+
+    it("Should share the trusted markup marker with the builders", (t) => {
+        assert.equal(Raw, SafeHtml);
+        assert.equal(hh.div(safeHtml`<b>${'<x>'}</b>`).render({ minify: true }), '<div><b>&lt;x&gt;</b></div>');
+        assert.equal(safeHtml`${builderRaw('<i>y</i>')}`.html, '<i>y</i>');
+    });
+
+    it("Should resolve the promises first with safeHtmlAsync", async (t) => {
+        const t1 = await safeHtmlAsync`<p>${Promise.resolve('<wait>')} ${[Promise.resolve('<a>'), 'b']} ${Promise.resolve(raw('<i>i</i>'))}</p>`;
+        assert.equal(t1.html, '<p>&lt;wait&gt; &lt;a&gt;b <i>i</i></p>');
+    });
+
+    it("Should escape the values in compiled templates with the escape option", (t) => {
+        const t1 = template('<p>${arg.text}${arg.html}</p>', ['arg'], { escape: true });
+        assert.equal(t1({ text: '<b>', html: raw('<b>b</b>') }).html, '<p>&lt;b&gt;<b>b</b></p>');
+        assert.equal(template('<p>${arg}</p>')('<b>'), '<p><b></p>');
+        assert.throws(() => template('${T}', ['T'], { escape: true }));
+        assert.equal(template('${T}', ['T'], { escape: true, tagName: 'E' })('<').html, '&lt;');
+
+        const t2 = templates('<li>${item}${arg}</li>', ['items', 'arg'], 'item', { escape: true });
+        const items = [...t2(['<a>', '<b>'], '&')];
+        assert.deepEqual(items.map(i => i.html), ['<li>&lt;a&gt;&amp;</li>', '<li>&lt;b&gt;&amp;</li>']);
+        assert.equal(safeHtml`<ul>${items}</ul>`.html, '<ul><li>&lt;a&gt;&amp;</li><li>&lt;b&gt;&amp;</li></ul>');
+        assert.throws(() => templates('${item}', ['items'], 'T', { escape: true }));
+    });
+});
+
+describe("compileTemplate", () => {
+    const render = (str, scope) => compileTemplate(str).render(scope);
+
+    it("Should evaluate paths, calls, literals, ternaries and operators", (t) => {
+        const scope = {
+            user: { name: 'Ama', tags: ['a', 'b'], greet(p) { return `${p} ${this.name}` } },
+            items: [1, 2, 3], empty: null, n: 7
+        };
+        assert.equal(render('Hi ${user.name}, ${user.tags[1]} ${user["tags"].length}', scope), 'Hi Ama, b 2');
+        assert.equal(render('${user.greet("Hello")} ${items.join("-")} ${[1, "x", true, null][1]}', scope), 'Hello Ama 1-2-3 x');
+        assert.equal(render('${n > 5 ? "big" : "small"} ${n % 2 === 1 && "odd"} ${empty ?? "none"} ${empty?.x.y} ${!empty}', scope), 'big odd none undefined true');
+        assert.equal(render('${1 + 2 * 3 - -n / (2 - 1)} ${"a" + n} ${typeof user} ${.5 + 1e1} ${n >= 7 || x}', scope), '14 a7 object 10.5 true');
+        assert.equal(render('\\${n} ${"}"} \\u0041\\n${n}', scope), '${n} } A\n7');
+    });
+
+    it("Should pass the strings and values to a tag", (t) => {
+        const tag = (strings, ...values) => [strings, values];
+        assert.deepEqual(compileTemplate('a${x}b${y}').render({ x: 1, y: 2 }, tag), [['a', 'b', ''], [1, 2]]);
+    });
+
+    it("Should reject unknown names, blocked properties and syntax errors", (t) => {
+        assert.throws(() => render('${missing}', {}), /missing is not defined./);
+        assert.throws(() => render('${toString}', Object.create(null)), ReferenceError);
+        assert.throws(() => render('${s.constructor.constructor("return 1")()}', { s: '' }), /The property: constructor cannot be accessed/);
+        assert.throws(() => render('${o["__proto__"]}', { o: {} }), /__proto__/);
+        assert.throws(() => render('${s[["constructor"]][["constructor"]]("return 42")()}', { s: '' }), /The property: constructor cannot be accessed/);
+        let calls = 0;
+        const key = { toString() { return calls++ ? 'constructor' : 'length' } };
+        assert.throws(() => render('${s[key][key]}', { s: '', key: { toString: () => 'constructor' } }), /The property: constructor cannot be accessed/);
+        assert.equal(render('${s[key]}', { s: 'ab', key }), '2');
+        assert.equal(render('${a[1]}', { a: ['x', 'y'] }), 'y');
+        assert.throws(() => render('${n.x()}', { n: {} }), /x is not a function./);
+        assert.throws(() => compileTemplate('${a = 1}'), SyntaxError);
+        assert.throws(() => compileTemplate('${a'), /Unexpected end of the template./);
+        assert.throws(() => compileTemplate('${a => a}'), SyntaxError);
+    });
+
+    it("Should not throw for typeof on names which are not in scope", (t) => {
+        assert.equal(render('${typeof missing} ${typeof (missing)} ${typeof n} ${typeof missing === "undefined" ? "none" : missing}', { n: 1 }), 'undefined undefined number none');
+        assert.throws(() => render('${typeof missing.x}', {}), /missing is not defined./);
+        assert.equal(template('${typeof missing}', ['arg'], { csp: true })({}), 'undefined');
+    });
+
+    it("Should be used by the template functions with the csp option", async (t) => {
+        const markup = '<p>${arg.text}</p>';
+        assert.equal(template(markup, ['arg'], { csp: true })({ text: '<b>' }), template(markup)({ text: '<b>' }));
+        assert.equal(template(markup, ['arg'], { csp: true, escape: true })({ text: '<b>' }).html, '<p>&lt;b&gt;</p>');
+        assert.equal(await asyncTemplate('${a}${b}', ['a', 'b'], 'T', { csp: true })(Promise.resolve(1), 2), '12');
+
+        const t1 = templates('<li>${item.name}${sep}</li>', ['items', 'sep'], 'item', { csp: true });
+        assert.deepEqual([...t1([{ name: 'a' }, { name: 'b' }], ';')], ['<li>a;</li>', '<li>b;</li>']);
+        const t2 = templates('<li>${it}</li>', ['items'], 'it', { csp: true, escape: true });
+        assert.equal(safeHtml`${t2(['<a>', '&'])}`.html, '<li>&lt;a&gt;</li><li>&amp;</li>');
+        const t3 = asyncTemplates('${item}${x}', ['items', 'x'], 'item', 'T', { csp: true });
+        assert.deepEqual(await Promise.all(t3([Promise.resolve(1), 2], '!')), ['1!', '2!']);
+    });
+});
+
+describe("TemplateRegistry", () => {
+    const layouts = {
+        base: '<title>${block("title", "Site")}</title><main>${block("content")}</main><footer>${block("footer", "(c)")}</footer>',
+        section: '${extend("base")}${block("content", T`<section>${block("section")}</section>`)}',
+        page: '${extend("section")}${block("title", data.title)}${block("section", include("card", data.card))}ignored',
+        card: '<p>${data.text}</p>'
+    };
+
+    it("Should include templates and extend layouts with blocks", (t) => {
+        const registry = new TemplateRegistry(layouts);
+        assert.equal(registry.render('page', { title: 'Home', card: { text: 'Hi' } }),
+            '<title>Home</title><main><section><p>Hi</p></section></main><footer>(c)</footer>');
+        assert.equal(registry.render('base'), '<title>Site</title><main></main><footer>(c)</footer>');
+        assert.throws(() => registry.render('missing'), /The template: missing could not be found in the registry./);
+        assert.throws(() => new TemplateRegistry({}, { argNames: ['include'] }));
+    });
+
+    it("Should render asynchronously and escape with the options", async (t) => {
+        const registry = new TemplateRegistry(layouts, { argNames: ['data', 'extra'] });
+        assert.equal(await registry.renderAsync('page', { title: Promise.resolve('Later'), card: { text: Promise.resolve('Hi') } }),
+            '<title>Later</title><main><section><p>Hi</p></section></main><footer>(c)</footer>');
+        const escaping = new TemplateRegistry({ ...layouts, card: '<p>${data.text}${extra}</p>' }, { argNames: ['data', 'extra'], escape: true });
+        assert.equal(escaping.render('page', { title: '<t>', card: { text: '<b>' } }, '&').html,
+            '<title>&lt;t&gt;</title><main><section><p>&lt;b&gt;</p></section></main><footer>(c)</footer>');
+        const csp = new TemplateRegistry({ page: '${extend("base")}${block("title", data.title)}', base: '<h1>${block("title")}</h1>' }, { csp: true });
+        assert.equal(csp.render('page', { title: 'CSP' }), '<h1>CSP</h1>');
+    });
+
+    it("Should load templates from documents and files", async (t) => {
+        const window = new JSDOM(`<!DOCTYPE html><body>
+            <template id="row"><tr><td title="\${data.a + &quot;!&quot;}">\${data.a > 1 ? data.a : 'small'}</td></tr></template>
+            <template>no id</template>
+        </body>`).window;
+        const registry = new TemplateRegistry().loadDocument(window.document);
+        assert.deepEqual(Object.keys(registry.templates), ['row']);
+        assert.equal(registry.render('row', { a: 2 }), '<tr><td title="2!">2</td></tr>');
+
+        const fetch = global.fetch;
+        after(() => global.fetch = fetch);
+        global.fetch = async (href) => ({ ok: href === '/card.html', status: 404, text: async () => '<p>${data}</p>' });
+        await registry.load('card', '/card.html');
+        assert.equal(registry.render('card', 'loaded'), '<p>loaded</p>');
+        await assert.rejects(registry.load('other', '/other.html'), /The template: other could not be loaded from \/other.html \(404\)./);
+    });
+});
+
+describe("fromTemplateElement", () => {
+    const window = new JSDOM(`<!DOCTYPE html><body>
+        <template id="card" data-args="title, body"><h2>\${title}</h2><p>\${body ?? 'none'}</p></template>
+        <template id="rows" data-args="rows, unit" data-item="row"><tr><td>\${row.size > 1000 ? row.size / 1000 + "k" : row.size} \${unit}</td></tr></template>
+        <template id="default">\${arg}</template>
+    </body>`).window;
+    const document = window.document;
+
+    it("Should compile the template with the argument names", (t) => {
+        global.document = document;
+        const card = fromTemplateElement(document.querySelector('#card'));
+        assert.equal(card('Hi', '<b>x</b>'), '<h2>Hi</h2><p><b>x</b></p>');
+        assert.equal(fromTemplateElement(document.querySelector('#card'), { escape: true })('Hi', '<b>').html, '<h2>Hi</h2><p>&lt;b&gt;</p>');
+        assert.equal(fromTemplateElement(document.querySelector('#default'))('default'), 'default');
+        const fragment = fromTemplateElement(document.querySelector('#card'), { fragment: true, csp: true })('Hi');
+        assert.ok(fragment instanceof window.DocumentFragment);
+        assert.deepEqual(Array.from(fragment.children).map(c => c.outerHTML), ['<h2>Hi</h2>', '<p>none</p>']);
+    });
+
+    it("Should render the items with data-item", (t) => {
+        global.document = document;
+        const rows = fromTemplateElement(document.querySelector('#rows'));
+        assert.equal(rows([{ size: 2000 }, { size: 10 }], 'B'), '<tr><td>2k B</td></tr><tr><td>10 B</td></tr>');
+        assert.equal(fromTemplateElement(document.querySelector('#rows'), { escape: true })([{ size: '<' }], '&').html, '<tr><td>&lt; &amp;</td></tr>');
+        const table = document.createElement('table');
+        table.append(fromTemplateElement(document.querySelector('#rows'), { fragment: true })([{ size: 1 }], 'B'));
+        assert.equal(table.querySelector('td').textContent, '1 B');
+    });
+});
+
+describe("streamTemplates", () => {
+    const delay = (value, ms) => new Promise(r => setTimeout(() => r(value), ms));
+
+    it("Should yield the items in order with limited concurrency", async (t) => {
+        let running = 0, maxRunning = 0;
+        const load = async (item) => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await delay(null, item.ms);
+            running--;
+            return item.name;
+        };
+        const rows = streamTemplates('<tr>${load(item)}${sep}</tr>', ['items', 'load', 'sep'], 'item', { concurrency: 2 });
+        const items = [{ name: 'a', ms: 30 }, { name: 'b', ms: 1 }, { name: 'c', ms: 1 }, { name: 'd', ms: 10 }];
+        const result = [];
+        for await (let row of rows(items, load, ';')) result.push(row);
+        assert.deepEqual(result, ['<tr>a;</tr>', '<tr>b;</tr>', '<tr>c;</tr>', '<tr>d;</tr>']);
+        assert.equal(maxRunning, 2);
+        assert.throws(() => streamTemplates('', ['items'], 'item', { concurrency: 0 }));
+    });
+
+    it("Should render async iterables with the csp option", async (t) => {
+        async function* pages() {
+            yield { n: 1 };
+            yield { n: Promise.resolve(2) };
+        }
+        const rows = streamTemplates('${item.n}', undefined, undefined, { csp: true });
+        const result = [];
+        for await (let row of rows(pages())) result.push(row);
+        assert.deepEqual(result, ['1', '2']);
+    });
+
+    it("Should stop when aborted or closed", async (t) => {
+        const controller = new AbortController();
+        let closed = false;
+        function* source() {
+            try {
+                yield delay('a', 1);
+                yield delay('b', 50);
+                yield 'c';
+            } finally { closed = true; }
+        }
+        const rows = streamTemplates('${item}', ['items'], 'item', { signal: controller.signal });
+        const iterator = rows(source());
+        assert.deepEqual(await iterator.next(), { value: 'a', done: false });
+        setTimeout(() => controller.abort(), 5);
+        await assert.rejects(iterator.next(), (e) => e.name === 'AbortError');
+        await delay(null, 1);
+        assert.ok(closed);
+        assert.deepEqual(await iterator.next(), { value: undefined, done: true });
+
+        closed = false;
+        for await (let row of streamTemplates('${item}', ['items'], 'item', { concurrency: 1 })(source())) break;
+        await delay(null, 1);
+        assert.ok(closed);
+    });
+});
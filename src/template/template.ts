@@ -2,6 +2,153 @@
  * This creates 'template literal' functions from pre-existing text.
  */
 
+import { escString, unEsc, SafeHtml, raw } from "../dom/esc/esc.js";
+import { createFragment } from "../dom/html/html.js";
+import { IMap } from "../types.js";
+
+/**
+ * The trusted markup marker of the esc module (also used by builders, 
+ * where it is exported as `Raw`). {@link safeHtml} returns it and does 
+ * not escape it again. Create instances for trusted markup with {@link raw}.
+ */
+export { SafeHtml, raw };
+
+/**
+ * Returns the value as escaped markup. {@link SafeHtml} values are 
+ * returned as they are, `null` and `undefined` become empty strings and 
+ * iterables (except strings) are flattened with each item escaped.
+ * 
+ * @param value 
+ * @returns 
+ */
+export function escapeValue(value: any): string {
+    if (value instanceof SafeHtml) return value.html;
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object' && Reflect.has(value, Symbol.iterator)) {
+        return Array.from(value as Iterable<any>, escapeValue).join('');
+    }
+    return escString(`${value}`);
+}
+
+/**
+ * A template tag which escapes every interpolated value 
+ * (with {@link escapeValue}) and returns the result as {@link SafeHtml}. 
+ * Use {@link raw} to interpolate trusted markup. Results of other calls 
+ * are not escaped again, so they compose.
+ * 
+ * @example
+ * import { safeHtml } from 'deleight/template';
+ * const items = ['<a>', 'b&c'];
+ * const list = safeHtml`<ul>${items.map(i => safeHtml`<li>${i}</li>`)}</ul>`;
+ * // list.html === '<ul><li>&lt;a&gt;</li><li>b&amp;c</li></ul>'
+ * 
+ * @param strings 
+ * @param expressions 
+ * @returns 
+ */
+export function safeHtml(strings: ArrayLike<string>, ...expressions: any[]) {
+    return new SafeHtml(expressions.map((exp, i) => `${strings[i]}${escapeValue(exp)}`).join('') 
+        + strings[expressions.length]);
+}
+
+/**
+ * Similar to {@link safeHtml} but resolves all interpolated promises 
+ * (including those inside arrays) first, like {@link asyncTag}.
+ * 
+ * @example
+ * import { safeHtmlAsync } from 'deleight/template';
+ * const t = await safeHtmlAsync`<p>${Promise.resolve('<wait>')}</p>`;
+ * // t.html === '<p>&lt;wait&gt;</p>'
+ * 
+ * @param strings 
+ * @param expressions 
+ * @returns 
+ */
+export async function safeHtmlAsync(strings: ArrayLike<string>, ...expressions: any[]) {
+    return safeHtml(strings, ...await Promise.all(expressions.map(resolveDeep)));
+}
+
+async function resolveDeep(value: any): Promise<any> {
+    value = await value;
+    if (typeof value === 'object' && value !== null && !(value instanceof SafeHtml) && Reflect.has(value, Symbol.iterator)) {
+        return Promise.all(Array.from(value as Iterable<any>, resolveDeep));
+    }
+    return value;
+}
+
+/**
+ * Options for the template compilers.
+ */
+export interface ITemplateOptions {
+    /**
+     * Escape the interpolated values with the rules of {@link safeHtml}. 
+     * The templates then return {@link SafeHtml}.
+     */
+    escape?: boolean;
+    /**
+     * The name of the tag function inside the template string when 
+     * `escape` is truthy. Change it if the default name (T) is used by an 
+     * argument.
+     */
+    tagName?: string;
+    /**
+     * Compile the template with {@link compileTemplate} instead of 
+     * `Function`, for pages with a Content-Security-Policy that does not 
+     * allow `unsafe-eval`. Only the restricted expression language of 
+     * {@link compileTemplate} can be used in the template string.
+     */
+    csp?: boolean;
+}
+
+/**
+ * The options for the async template compilers.
+ */
+export type IAsyncTemplateOptions = Pick<ITemplateOptions, 'csp'>;
+
+function argScope(argNames: string[], args: any[]) {
+    const scope = Object.create(null);
+    argNames.forEach((name, i) => scope[name] = args[i]);
+    return scope;
+}
+
+function plainTag(strings: ArrayLike<string>, ...values: any[]) {
+    return values.map((v, i) => `${strings[i]}${v}`).join('') + strings[values.length];
+}
+
+/**
+ * Compiles the template into a function taking the tag to apply 
+ * followed by the arguments.
+ */
+function compileTagged(templateStr: string, argNames: string[], options?: ITemplateOptions): (tag: Function, ...args: any[]) => any {
+    if (options?.csp) {
+        const compiled = compileTemplate(templateStr);
+        return (tag, ...args) => compiled.render(argScope(argNames, args), tag as any);
+    }
+    const tagName = options?.tagName || 'T';
+    if (argNames.includes(tagName)) {
+        throw new Error(`The tag name ${tagName} clashes with the name of one of the arguments. 
+        Please change the tag name or the argument name to resolve this.`);
+    }
+    return Function(tagName, ...argNames, `return ${tagName}\`${templateStr}\`;`) as (tag: Function, ...args: any[]) => any;
+}
+
+/**
+ * Returns the template string in the template element. Characters which 
+ * HTML serialization escapes (like `>` and `"`) are restored inside the 
+ * placeholders.
+ */
+function templateSource(element: HTMLTemplateElement) {
+    return element.innerHTML.replace(/\$\{[^}]*\}/g, p => unEsc(p).replace(/&nbsp;/g, '\u00a0'));
+}
+
+function* renderAll<T>(compiled: ICompiledTemplate, argNames: string[], itemName: string, args: any[], tag?: (strings: string[], ...values: any[]) => T) {
+    const scope = argScope(argNames, args);
+    for (let item of args[0]) {
+        scope[itemName] = item;
+        yield compiled.render(scope, tag);
+    }
+}
+
 /**
  * A template tag that will resolve only after all
  * interpolated promises have been resolved, finally returning the
@@ -39,15 +186,24 @@ export async function asyncTag(strings: Array<string>, ...expressions: any[]): P
  * import { template } from 'deleight/template';
  * const t = template('I will render this ${arg} immediately!!!')('guy');
  * // t === 'I will render this guy immediately!!!'
+ * 
+ * const e = template('<p>${arg}</p>', ['arg'], { escape: true })('<b>');
+ * // e.html === '<p>&lt;b&gt;</p>'
  *
  * @param {string} templateStr the template string
  * @param {string[]} argNames The names of the parameters of the returned function (which can be 'seen' inside the template string).
  * Defaults to: ['arg'].
+ * @param {ITemplateOptions} options Pass `{ escape: true }` to escape the interpolated values (see {@link safeHtml}). 
+ * Pass `{ csp: true }` to compile without `Function` (see {@link compileTemplate}).
  * @returns {(...any): string}
  */
-export function template(templateStr: string, argNames?: string[]): (...args: any[]) => string {
+export function template(templateStr: string, argNames?: string[], options?: ITemplateOptions & { escape?: false }): (...args: any[]) => string;
+export function template(templateStr: string, argNames: string[] | undefined, options: ITemplateOptions & { escape: true }): (...args: any[]) => SafeHtml;
+export function template(templateStr: string, argNames?: string[], options?: ITemplateOptions): (...args: any[]) => string | SafeHtml {
     if (!argNames) argNames = ['arg'];
-    return Function(...argNames, `return \`${templateStr}\`;`) as (...args: any[]) => string;
+    if (!options?.escape && !options?.csp) return Function(...argNames, `return \`${templateStr}\`;`) as (...args: any[]) => string;
+    const f = compileTagged(templateStr, argNames, options), tag = options.escape? safeHtml: plainTag;
+    return (...args) => f(tag, ...args);
 }
 /**
  * Similar to {@link template} but the built template is also 'promise-aware' and will allow them to 
@@ -66,10 +222,15 @@ export function template(templateStr: string, argNames?: string[]): (...args: an
  * Defaults to: ['arg'].
  * @param {string} tagName Supply a tagName argument to change the name of the tag function inside the template string if
  * the default name (T) is present in  argNames.
+ * @param {IAsyncTemplateOptions} options Pass `{ csp: true }` to compile without `Function` (see {@link compileTemplate}).
  * @returns {(...any): Promise<string>}
  */
-export function asyncTemplate(templateStr: string, argNames?: Array<string>, tagName?: string): (...args: any[]) => Promise<string> {
+export function asyncTemplate(templateStr: string, argNames?: Array<string>, tagName?: string, options?: IAsyncTemplateOptions): (...args: any[]) => Promise<string> {
     if (!argNames) argNames = ['arg'];
+    if (options?.csp) {
+        const compiled = compileTemplate(templateStr);
+        return (...args) => compiled.render(argScope(argNames, args), asyncTag);
+    }
     if (!tagName) tagName = "T";
     if (argNames.includes(tagName)) {
         throw new Error(`The tag name ${tagName} clashes with the name of one of the arguments. 
@@ -86,8 +247,8 @@ export function asyncTemplate(templateStr: string, argNames?: Array<string>, tag
 /**
  * The return value of a call to {@link templates}.
  */
-export interface ITemplates {
-    (arr: Iterable<any>, ...args: any[]): Iterable<string>;
+export interface ITemplates<T = string> {
+    (arr: Iterable<any>, ...args: any[]): Iterable<T>;
 }
 
 /**
@@ -112,15 +273,38 @@ export interface IAsyncTemplates {
  * inside the template string). Defauts to ['iter']
  * @param {string} itemName The name of the current item of the iterable as seen inside the template string. Defaults
  * to 'item'
+ * @param {ITemplateOptions} options Pass `{ escape: true }` to escape the interpolated values (see {@link safeHtml}). 
+ * The returned function then yields {@link SafeHtml}. Pass `{ csp: true }` to compile without `Function` 
+ * (see {@link compileTemplate}).
  * @returns {ITemplates}
  */
-export function templates(templateStr: string, argNames: Array<string> = ['iter'], itemName = 'item'): ITemplates {
-    return (Function(`
-        function* gen(${argNames.join(', ')}) {
-            for (let ${itemName} of ${argNames[0]}) yield \`${templateStr}\`;
+export function templates(templateStr: string, argNames?: Array<string>, itemName?: string, options?: ITemplateOptions & { escape?: false }): ITemplates;
+export function templates(templateStr: string, argNames: Array<string> | undefined, itemName: string | undefined, options: ITemplateOptions & { escape: true }): ITemplates<SafeHtml>;
+export function templates(templateStr: string, argNames: Array<string> = ['iter'], itemName = 'item', options?: ITemplateOptions): ITemplates<string | SafeHtml> {
+    if (options?.csp) {
+        const compiled = compileTemplate(templateStr), tag = options.escape? safeHtml: undefined;
+        return (...args) => renderAll(compiled, argNames, itemName, args, tag);
+    }
+    if (!options?.escape) {
+        return (Function(`
+            function* gen(${argNames.join(', ')}) {
+                for (let ${itemName} of ${argNames[0]}) yield \`${templateStr}\`;
+            }
+            return gen;`,
+        ))();
+    }
+    const tagName = options.tagName || 'T';
+    if (itemName === tagName || argNames.includes(tagName)) {
+        throw new Error(`The tag name ${tagName} clashes with the item name or the name of one of the arguments. 
+        Please change the tag name or the clashing name to resolve this.`);
+    }
+    const f = (Function(`
+        function* gen(${tagName}, ${argNames.join(', ')}) {
+            for (let ${itemName} of ${argNames[0]}) yield ${tagName}\`${templateStr}\`;
         }
         return gen;`,
     ))();
+    return (arr, ...args) => f(safeHtml, arr, ...args);
 }
 
 /**
@@ -141,9 +325,14 @@ export function templates(templateStr: string, argNames: Array<string> = ['iter'
  * to 'item'
  * @param {string} tagName Supply a tagName argument to change the name of the tag function inside the template string if
  * the default name (T) is present in  argNames.
+ * @param {IAsyncTemplateOptions} options Pass `{ csp: true }` to compile without `Function` (see {@link compileTemplate}).
  * @returns {IAsyncTemplates}
  */
-export function asyncTemplates(templateStr: string, argNames: Array<string> = ['iter'], itemName = 'item', tagName = 'T'): IAsyncTemplates {
+export function asyncTemplates(templateStr: string, argNames: Array<string> = ['iter'], itemName = 'item', tagName = 'T', options?: IAsyncTemplateOptions): IAsyncTemplates {
+    if (options?.csp) {
+        const compiled = compileTemplate(templateStr);
+        return (...args) => renderAll(compiled, argNames, itemName, args, asyncTag);
+    }
     if (itemName === tagName) {
         throw new Error(`The tag name ${tagName} is the same as the item name. 
         Please change the tag name or the item name to resolve this.`);
@@ -163,3 +352,622 @@ export function asyncTemplates(templateStr: string, argNames: Array<string> = ['
     return (arr, ...args) => f(asyncTag, arr, ...args);
 }
 
+/**
+ * Options for {@link streamTemplates}.
+ */
+export interface IStreamOptions extends IAsyncTemplateOptions {
+    /**
+     * The maximum number of items being rendered (or waiting to be 
+     * yielded) at a time. Defaults to Infinity.
+     */
+    concurrency?: number;
+    /**
+     * Aborting the signal stops the rendering of new items and makes the 
+     * iterator throw the abort reason.
+     */
+    signal?: AbortSignal;
+    /**
+     * The name of the async tag function inside the template string. 
+     * Defaults to 'T'.
+     */
+    tagName?: string;
+}
+
+/**
+ * The return value of a call to {@link streamTemplates}.
+ */
+export interface IStreamTemplates {
+    (arr: Iterable<any> | AsyncIterable<any>, ...args: any[]): AsyncGenerator<string>;
+}
+
+/**
+ * Streaming form of {@link asyncTemplates}. The returned function returns 
+ * an async iterator which yields the rendered items in their input order, 
+ * each as soon as it and all the items before it are ready. At most 
+ * `options.concurrency` items are rendered at a time, so the expressions 
+ * of later items (such as calls fetching data) are only evaluated when 
+ * there is room for them. The items may also come from an async iterable 
+ * (like the pages of a paginated API).
+ * 
+ * Aborting `options.signal` stops rendering, closes the items iterator and 
+ * makes the returned iterator throw the abort reason. Breaking out of 
+ * the loop also closes the items iterator.
+ * 
+ * @example
+ * import { streamTemplates } from 'deleight/template';
+ * const controller = new AbortController();
+ * const rows = streamTemplates('<tr><td>${item.name}</td><td>${fetchTotal(item.id)}</td></tr>', ['items', 'fetchTotal'], 'item', 
+ *     { concurrency: 4, signal: controller.signal });
+ * for await (let row of rows(users, fetchTotal)) tbody.insertAdjacentHTML('beforeend', row);
+ * 
+ * @param templateStr The template string
+ * @param argNames The names of the parameters (starting with the iterable) of the returned function (which can be 'seen' inside the template string). 
+ * Defaults to ['iter']
+ * @param itemName The name of the current item of the iterable as seen inside the template string. Defaults to 'item'
+ * @param options 
+ * @returns 
+ */
+export function streamTemplates(templateStr: string, argNames: Array<string> = ['iter'], itemName = 'item', options?: IStreamOptions): IStreamTemplates {
+    const render = compileTagged(templateStr, [itemName, ...argNames], options);
+    const concurrency = options?.concurrency ?? Infinity, signal = options?.signal;
+    if (!(concurrency >= 1)) throw new Error(`The concurrency: ${concurrency} should be at least 1.`);
+
+    return async function* (arr, ...args) {
+        const iterator: Iterator<any> | AsyncIterator<any> = Reflect.has(arr, Symbol.asyncIterator)? 
+            arr[Symbol.asyncIterator](): arr[Symbol.iterator]();
+        const queue: Promise<string>[] = [];
+        let done = false, next: IteratorResult<any>, rendered: Promise<string>;
+        try {
+            while (true) {
+                while (!done && queue.length < concurrency) {
+                    signal?.throwIfAborted();
+                    next = await abortable(Promise.resolve(iterator.next()), signal);
+                    if (next.done) done = true;
+                    else {
+                        rendered = Promise.resolve(render(asyncTag, next.value, arr, ...args));
+                        rendered.catch(() => {});     // rejections are reported when the item is reached
+                        queue.push(rendered);
+                    }
+                }
+                if (!queue.length) return;
+                yield await abortable(queue.shift(), signal);
+            }
+        } finally {
+            // not awaited: an async iterator only returns after its pending call settles
+            if (!done) Promise.resolve().then(() => iterator.return?.()).catch(() => {});
+        }
+    };
+}
+
+/**
+ * Returns a promise which settles like the given one or rejects with the 
+ * abort reason when the signal is aborted (whichever happens first).
+ */
+function abortable<T>(promise: Promise<T>, signal?: AbortSignal): Promise<T> {
+    if (!signal) return promise;
+    return new Promise<T>((resolve, reject) => {
+        if (signal.aborted) return reject(signal.reason);
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+
+/**
+ * Options for {@link fromTemplateElement}.
+ */
+export interface ITemplateElementOptions extends ITemplateOptions {
+    /**
+     * Return a DocumentFragment (created with `createFragment`) instead 
+     * of the markup.
+     */
+    fragment?: boolean;
+}
+
+/**
+ * Compiles the content of a `<template>` element with the semantics of 
+ * {@link template}, or of {@link templates} if the element has a 
+ * `data-item` attribute (naming the item). The argument names are read 
+ * from the (comma or space separated) `data-args` attribute. The items 
+ * rendered by {@link templates} are joined.
+ * 
+ * The returned function returns the markup, or a DocumentFragment if 
+ * `options.fragment` is truthy. Characters which HTML escapes in the 
+ * content (like `>` and `"`) may be used normally in the placeholders.
+ * 
+ * @example
+ * import { fromTemplateElement } from 'deleight/template';
+ * document.body.innerHTML = `
+ * <template id="rows" data-args="rows, unit" data-item="row">
+ *     <tr><td>\${row.name}</td><td>\${row.size > 1000 ? row.size / 1000 + 'k' : row.size} \${unit}</td></tr>
+ * </template>`;
+ * const rows = fromTemplateElement(document.querySelector('#rows'), { fragment: true });
+ * document.querySelector('tbody').append(rows([{ name: 'a', size: 2000 }], 'B'));
+ * 
+ * @param element 
+ * @param options 
+ * @returns 
+ */
+export function fromTemplateElement(element: HTMLTemplateElement, options: ITemplateElementOptions & { fragment: true }): (...args: any[]) => DocumentFragment;
+export function fromTemplateElement(element: HTMLTemplateElement, options?: ITemplateElementOptions): (...args: any[]) => string | SafeHtml;
+export function fromTemplateElement(element: HTMLTemplateElement, options?: ITemplateElementOptions): (...args: any[]) => string | SafeHtml | DocumentFragment {
+    const argNames = element.dataset.args?.split(/[\s,]+/).filter(name => name);
+    const itemName = element.dataset.item;
+    const source = templateSource(element);
+    let render: (...args: any[]) => string | SafeHtml;
+    if (itemName === undefined) render = template(source, argNames, options as ITemplateOptions & { escape: true });
+    else {
+        const renderAll = templates(source, argNames, itemName || undefined, options as ITemplateOptions & { escape: true });
+        render = (...args) => {
+            const items = Array.from(renderAll(args[0], ...args.slice(1)));
+            return options?.escape? new SafeHtml(escapeValue(items)): items.join('');
+        };
+    }
+    if (!options?.fragment) return render;
+    return (...args) => createFragment(`${render(...args)}`);
+}
+
+/**
+ * Options for the {@link TemplateRegistry}.
+ */
+export interface ITemplateRegistryOptions extends ITemplateOptions {
+    /**
+     * The names of the arguments of the templates. Defaults to ['data'].
+     */
+    argNames?: string[];
+}
+
+interface IRenderContext {
+    blocks: IMap<any>;
+    layout?: string;
+}
+
+/**
+ * A store of named templates which can include each other and extend 
+ * layouts. The templates are compiled (like {@link template}) the first 
+ * time they are rendered. Besides the arguments (`data` by default), 
+ * these functions can be used inside the templates:
+ * 
+ * - `include(name, ...args)` renders another template (with the current 
+ * arguments if none are given).
+ * - `extend(name)` renders the named layout (with the same arguments) 
+ * instead of the current template. Only the blocks of the current 
+ * template are used by the layout.
+ * - `block(name, content)` returns the content of the named block, which 
+ * is the first content given for the block. Because templates are 
+ * evaluated before the layouts they extend, the blocks of templates 
+ * override the same blocks in their layouts.
+ * 
+ * Use the tag (`T` by default) for template literals nested inside the 
+ * templates, so that they are also escaped (or awaited) by the tag.
+ * 
+ * Templates can be registered from strings, from `<template id>` elements 
+ * (with {@link TemplateRegistry#loadDocument}) or from files (with 
+ * {@link TemplateRegistry#load}). Render them with 
+ * {@link TemplateRegistry#render} or {@link TemplateRegistry#renderAsync} 
+ * (which uses {@link asyncTag}).
+ * 
+ * @example
+ * import { TemplateRegistry } from 'deleight/template';
+ * const registry = new TemplateRegistry({
+ *     layout: '<title>${block("title", "Site")}</title><main>${block("content")}</main>',
+ *     page: '${extend("layout")}${block("title", data.title)}${block("content", include("card", data.card))}',
+ *     card: '<p>${data.text}</p>'
+ * });
+ * registry.render('page', { title: 'Home', card: { text: 'Hi' } });
+ * // '<title>Home</title><main><p>Hi</p></main>'
+ */
+export class TemplateRegistry {
+    templates: IMap<string>;
+    options: ITemplateRegistryOptions;
+    #compiled: IMap<(tag: Function, ...args: any[]) => any> = {};
+
+    constructor(templates?: IMap<string>, options?: ITemplateRegistryOptions) {
+        this.templates = { ...templates };
+        this.options = { argNames: ['data'], ...options };
+        for (let name of ['include', 'block', 'extend']) {
+            if (this.options.argNames.includes(name)) {
+                throw new Error(`The argument name ${name} clashes with a template function. 
+                Please change the argument name to resolve this.`);
+            }
+        }
+    }
+    /**
+     * Adds (or replaces) the named template.
+     * 
+     * @param name 
+     * @param templateStr 
+     * @returns 
+     */
+    register(name: string, templateStr: string) {
+        this.templates[name] = templateStr;
+        delete this.#compiled[name];
+        return this;
+    }
+    /**
+     * Whether the template has been registered.
+     * 
+     * @param name 
+     * @returns 
+     */
+    has(name: string) {
+        return Reflect.has(this.templates, name);
+    }
+    /**
+     * Registers the `<template>` elements with ids in the root (the 
+     * document by default), using the ids as the names.
+     * 
+     * @param root 
+     * @returns 
+     */
+    loadDocument(root: ParentNode = document) {
+        for (let element of Array.from(root.querySelectorAll('template[id]')) as HTMLTemplateElement[]) {
+            this.register(element.id, templateSource(element));
+        }
+        return this;
+    }
+    /**
+     * Fetches the template text from the link and registers it with the name.
+     * 
+     * @example
+     * await registry.load('card', '/templates/card.html');
+     * 
+     * @param name 
+     * @param href 
+     * @param init 
+     * @returns 
+     */
+    async load(name: string, href: string, init?: RequestInit) {
+        const response = await fetch(href, init);
+        if (!response.ok) throw new Error(`The template: ${name} could not be loaded from ${href} (${response.status}).`);
+        return this.register(name, await response.text());
+    }
+    /**
+     * Renders the named template with the arguments. Returns 
+     * {@link SafeHtml} if the registry was created with `escape: true`.
+     * 
+     * @param name 
+     * @param args 
+     * @returns 
+     */
+    render(name: string, ...args: any[]): string | SafeHtml {
+        return this.#render(name, args, this.options.escape? safeHtml: plainTag, { blocks: {} });
+    }
+    /**
+     * Like {@link TemplateRegistry#render} but the interpolated promises 
+     * are resolved first (like {@link asyncTag} or {@link safeHtmlAsync}).
+     * 
+     * @param name 
+     * @param args 
+     * @returns 
+     */
+    async renderAsync(name: string, ...args: any[]): Promise<string | SafeHtml> {
+        return this.#render(name, args, this.options.escape? safeHtmlAsync: asyncTag, { blocks: {} });
+    }
+    #render(name: string, args: any[], tag: Function, context: IRenderContext): any {
+        if (!Reflect.has(this.templates, name)) throw new Error(`The template: ${name} could not be found in the registry.`);
+        const compiled = this.#compiled[name] ??= compileTagged(this.templates[name], [...this.options.argNames, 'include', 'block', 'extend'], this.options);
+        const include = (name: string, ...includeArgs: any[]) => this.#render(name, includeArgs.length? includeArgs: args, tag, { blocks: {} });
+        const block = (name: string, content: any = '') => {
+            if (!Reflect.has(context.blocks, name)) context.blocks[name] = content;
+            return context.blocks[name];
+        };
+        const extend = (name: string) => {
+            context.layout = name;
+            return '';
+        };
+        const argList = this.options.argNames.map((_, i) => args[i]);
+        const result = compiled(tag, ...argList, include, block, extend);
+        if (!context.layout) return result;
+        const layout = context.layout;
+        context.layout = undefined;
+        const rendered = this.#render(layout, args, tag, context);
+        return (result instanceof Promise)? Promise.all([result, rendered]).then(results => results[1]): rendered;
+    }
+}
+
+/**
+ * A template string compiled by {@link compileTemplate}.
+ */
+export interface ICompiledTemplate {
+    /**
+     * The static parts of the template (one more than the expressions).
+     */
+    strings: string[];
+    /**
+     * The compiled expressions, evaluated against a scope object.
+     */
+    expressions: ((scope: object) => any)[];
+    /**
+     * Evaluates the expressions against the scope and passes the results 
+     * (with the strings) to the tag. Without a tag, the results are 
+     * joined with the strings like a template literal.
+     */
+    render<T = string>(scope: object, tag?: (strings: string[], ...values: any[]) => T): T;
+}
+
+/**
+ * Compiles the template string without `Function` or `eval`, so the 
+ * result can be used under a Content-Security-Policy without 
+ * `unsafe-eval`. This is what the template functions use when given 
+ * the `csp` option.
+ * 
+ * The placeholders (`${...}`) may contain a restricted expression 
+ * language: names (looked up in the scope), property paths (with `.`, 
+ * `?.` and `[]`), calls, string, number, boolean, `null`, `undefined` 
+ * and array literals, the ternary operator, the unary operators 
+ * `! - + typeof` and the binary operators 
+ * `* / % + - < <= > >= == != === !== && || ??`. Names which are not 
+ * in scope throw a `ReferenceError`, except as the operand of `typeof`. 
+ * Assignments, arrow functions, `new` and nested template literals 
+ * are not supported. The properties `constructor`, `prototype` and 
+ * `__proto__` cannot be accessed.
+ * 
+ * @example
+ * import { compileTemplate } from 'deleight/template';
+ * const t = compileTemplate('Hello ${user.name ?? "guest"}, you have ${items.length > 1 ? items.length + " items" : "an item"}.');
+ * t.render({ user: { name: 'Ama' }, items: [1, 2] });
+ * // 'Hello Ama, you have 2 items.'
+ * 
+ * @param templateStr 
+ * @returns 
+ */
+export function compileTemplate(templateStr: string): ICompiledTemplate {
+    const strings: string[] = [], expressions: ((scope: object) => any)[] = [];
+    let text = '', pos = 0, parser: ExpressionParser;
+    while (pos < templateStr.length) {
+        if (templateStr[pos] === '\\') {
+            const [char, next] = unescapeChar(templateStr, pos + 1);
+            text += char;
+            pos = next;
+        } else if (templateStr.startsWith('${', pos)) {
+            strings.push(text);
+            text = '';
+            parser = new ExpressionParser(templateStr, pos + 2);
+            expressions.push(parser.parseExpression());
+            parser.expect('}');
+            pos = parser.pos;
+        } else text += templateStr[pos++];
+    }
+    strings.push(text);
+    return {
+        strings, expressions,
+        render(scope, tag?) {
+            const values = expressions.map(e => e(scope));
+            return (tag || plainTag)(strings, ...values) as any;
+        }
+    };
+}
+
+const escapedChars = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+function unescapeChar(str: string, pos: number): [string, number] {
+    const char = str[pos];
+    if (Reflect.has(escapedChars, char)) return [escapedChars[char], pos + 1];
+    if (char === 'x') return [String.fromCharCode(parseInt(str.slice(pos + 1, pos + 3), 16)), pos + 3];
+    if (char === 'u') {
+        if (str[pos + 1] === '{') {
+            const end = str.indexOf('}', pos);
+            return [String.fromCodePoint(parseInt(str.slice(pos + 2, end), 16)), end + 1];
+        }
+        return [String.fromCharCode(parseInt(str.slice(pos + 1, pos + 5), 16)), pos + 5];
+    }
+    return [char ?? '', pos + 1];
+}
+
+const blockedProperties = ['constructor', 'prototype', '__proto__'];
+
+const punctuators = ['===', '!==', '?.', '??', '==', '!=', '<=', '>=', '&&', '||', 
+    '.', '[', ']', '(', ')', ',', '?', ':', '+', '-', '*', '/', '%', '<', '>', '!', '}'];
+
+/**
+ * The binary operators from the lowest to the highest precedence.
+ */
+const precedence = [['??'], ['||'], ['&&'], ['==', '!=', '===', '!=='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+/**
+ * The binary operations. The operands are passed as functions so that 
+ * the logical operators can short-circuit.
+ */
+const operations: { [op: string]: (a: () => any, b: () => any) => any } = {
+    '??': (a, b) => a() ?? b(), '||': (a, b) => a() || b(), '&&': (a, b) => a() && b(),
+    '==': (a, b) => a() == b(), '!=': (a, b) => a() != b(), '===': (a, b) => a() === b(), '!==': (a, b) => a() !== b(),
+    '<': (a, b) => a() < b(), '<=': (a, b) => a() <= b(), '>': (a, b) => a() > b(), '>=': (a, b) => a() >= b(),
+    '+': (a, b) => a() + b(), '-': (a, b) => a() - b(), '*': (a, b) => a() * b(), '/': (a, b) => a() / b(), '%': (a, b) => a() % b()
+};
+
+/**
+ * The names looked up by the closures compiled from bare names. 
+ * `typeof` uses it so that (like in JS) it does not throw for 
+ * names which are not in scope.
+ */
+const nameLookups = new WeakMap<(scope: object) => any, string>();
+
+type IToken = { type: 'name' | 'number' | 'string' | 'punctuator' | 'end', value: any, pos: number };
+
+/**
+ * A recursive-descent parser for the expressions in placeholders. It 
+ * compiles the expressions into closures as it parses them.
+ */
+class ExpressionParser {
+    source: string;
+    pos: number;
+    token: IToken;
+
+    constructor(source: string, pos: number) {
+        this.source = source;
+        this.pos = pos;
+        this.next();
+    }
+
+    parseExpression(): (scope: object) => any {
+        const test = this.parseBinary(0);
+        if (!this.eat('?')) return test;
+        const then = this.parseExpression();
+        this.expect(':');
+        const otherwise = this.parseExpression();
+        return (scope) => test(scope)? then(scope): otherwise(scope);
+    }
+
+    parseBinary(level: number): (scope: object) => any {
+        if (level === precedence.length) return this.parseUnary();
+        let left = this.parseBinary(level + 1);
+        while (this.token.type === 'punctuator' && precedence[level].includes(this.token.value)) {
+            const operation = operations[this.token.value], a = left;
+            this.next();
+            const b = this.parseBinary(level + 1);
+            left = (scope) => operation(() => a(scope), () => b(scope));
+        }
+        return left;
+    }
+
+    parseUnary(): (scope: object) => any {
+        const token = this.token;
+        if ((token.type === 'punctuator' && ['!', '-', '+'].includes(token.value)) || (token.type === 'name' && token.value === 'typeof')) {
+            this.next();
+            const operand = this.parseUnary();
+            if (token.value === '!') return (scope) => !operand(scope);
+            if (token.value === '-') return (scope) => -operand(scope);
+            if (token.value === '+') return (scope) => +operand(scope);
+            const name = nameLookups.get(operand);
+            if (name !== undefined) return (scope) => Reflect.has(scope, name)? typeof scope[name]: 'undefined';
+            return (scope) => typeof operand(scope);
+        }
+        return this.parsePostfix();
+    }
+
+    parsePostfix(): (scope: object) => any {
+        const base = this.parsePrimary();
+        const ops: { key?: (scope: object) => any, args?: ((scope: object) => any)[], optional: boolean }[] = [];
+        while (true) {
+            const optional = this.eat('?.');
+            if (this.eat('[')) {
+                ops.push({ key: this.parseExpression(), optional });
+                this.expect(']');
+            } else if (this.eat('(')) {
+                ops.push({ args: this.parseList(')'), optional });
+            } else if (optional || this.eat('.')) {
+                const name = this.token;
+                if (name.type !== 'name') this.fail();
+                this.next();
+                ops.push({ key: () => name.value, optional });
+            } else break;
+        }
+        if (!ops.length) return base;
+        return (scope) => {
+            let value = base(scope), object: any, key: any;
+            for (let op of ops) {
+                if (op.optional && (value === null || value === undefined)) return undefined;
+                if (op.key) {
+                    // converted once so the checked key is the one looked up.
+                    key = op.key(scope);
+                    if (typeof key !== 'symbol') key = String(key);
+                    if (blockedProperties.includes(key)) throw new Error(`The property: ${key} cannot be accessed in templates.`);
+                    object = value;
+                    value = object[key];
+                } else {
+                    if (typeof value !== 'function') throw new TypeError(`${String(key ?? 'The value')} is not a function.`);
+                    value = value.apply(object, op.args.map(arg => arg(scope)));
+                    object = key = undefined;
+                }
+            }
+            return value;
+        };
+    }
+
+    parsePrimary(): (scope: object) => any {
+        const token = this.token;
+        if (token.type === 'number' || token.type === 'string') {
+            this.next();
+            return () => token.value;
+        } else if (token.type === 'name') {
+            this.next();
+            const name = token.value;
+            if (name === 'true') return () => true;
+            if (name === 'false') return () => false;
+            if (name === 'null') return () => null;
+            if (name === 'undefined') return () => undefined;
+            const lookup = (scope: object) => {
+                if (!Reflect.has(scope, name)) throw new ReferenceError(`${name} is not defined.`);
+                return scope[name];
+            };
+            nameLookups.set(lookup, name);
+            return lookup;
+        } else if (this.eat('(')) {
+            const expression = this.parseExpression();
+            this.expect(')');
+            return expression;
+        } else if (this.eat('[')) {
+            const items = this.parseList(']');
+            return (scope) => items.map(item => item(scope));
+        }
+        this.fail();
+    }
+
+    parseList(end: string) {
+        const items: ((scope: object) => any)[] = [];
+        while (!this.eat(end)) {
+            items.push(this.parseExpression());
+            if (!this.eat(',')) {
+                this.expect(end);
+                break;
+            }
+        }
+        return items;
+    }
+
+    eat(punctuator: string) {
+        if (this.token.type !== 'punctuator' || this.token.value !== punctuator) return false;
+        this.next();
+        return true;
+    }
+
+    expect(punctuator: string) {
+        if (this.token.type !== 'punctuator' || this.token.value !== punctuator) this.fail();
+        if (punctuator === '}') this.pos = this.token.pos + 1;     // the template continues after the brace
+        else this.next();
+    }
+
+    fail(): never {
+        const token = this.token;
+        throw new SyntaxError(token.type === 'end'? 'Unexpected end of the template.'
+            : `Unexpected ${token.value} at position ${token.pos} of the template.`);
+    }
+
+    next() {
+        const source = this.source;
+        let pos = this.pos;
+        while (pos < source.length && /\s/.test(source[pos])) pos++;
+        const start = pos, char = source[pos];
+        let match: RegExpMatchArray;
+        if (pos >= source.length) {
+            this.token = { type: 'end', value: undefined, pos };
+        } else if (match = source.slice(pos).match(/^(\d+\.?\d*(e[+-]?\d+)?|\.\d+(e[+-]?\d+)?)/i)) {
+            this.token = { type: 'number', value: Number(match[0]), pos: start };
+            pos += match[0].length;
+        } else if (match = source.slice(pos).match(/^[A-Za-z_$][\w$]*/)) {
+            this.token = { type: 'name', value: match[0], pos: start };
+            pos += match[0].length;
+        } else if (char === '"' || char === "'") {
+            let value = '';
+            pos++;
+            while (source[pos] !== char) {
+                if (pos >= source.length) throw new SyntaxError(`Unterminated string at position ${start} of the template.`);
+                if (source[pos] === '\\') {
+                    const [escaped, next] = unescapeChar(source, pos + 1);
+                    value += escaped;
+                    pos = next;
+                } else value += source[pos++];
+            }
+            this.token = { type: 'string', value, pos: start };
+            pos++;
+        } else {
+            const punctuator = punctuators.find(p => source.startsWith(p, pos) && !(p === '?.' && /\d/.test(source[pos + 2])));
+            if (!punctuator) throw new SyntaxError(`Unexpected ${char} at position ${pos} of the template.`);
+            this.token = { type: 'punctuator', value: punctuator, pos: start };
+            pos += punctuator.length;
+        }
+        this.pos = pos;
+    }
+}